@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Command-line access to the dashboard's sheet analysis, e.g.
+//   result-portal convert result.xlsx --out results.json
+// Exits 1 when the workbook has error-level issues, 2 on bad usage or an
+// unreadable file.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { buildAggregateDataset } from '../src/aggregates.js';
+import { normalizeDataset } from '../src/analysis.js';
+import { parseWorkbook } from '../src/workbook.js';
+
+const USAGE = `Usage: result-portal convert <workbook.xlsx> [options]
+
+Options:
+  --out <file>           Write JSON here instead of stdout
+  --scale <file>         Grading scale JSON (defaults to SUST 4.00)
+  --status-codes <file>  Status code list JSON (defaults to Abs, F, I, W, Ret)
+  --ranking <file>       Ranking settings JSON
+  --catalog <file>       Course catalog JSON
+  --aggregate            Emit class aggregates only (no names or registration numbers)
+  --compact              Emit JSON without indentation
+  -h, --help             Show this help`;
+
+async function readJson(path) {
+  return path ? JSON.parse(await readFile(path, 'utf8')) : undefined;
+}
+
+async function convert(file, values) {
+  const terms = parseWorkbook(await readFile(file), 'buffer');
+  if (!terms.length) throw new Error('None of the sheets in this file have rows.');
+
+  const options = {
+    fileName: basename(file),
+    scale: await readJson(values.scale),
+    statusCodes: await readJson(values['status-codes']),
+    ranking: await readJson(values.ranking),
+    catalog: await readJson(values.catalog),
+  };
+  const dataset = normalizeDataset(terms, options);
+  const output = values.aggregate ? buildAggregateDataset(terms, options) : dataset;
+  const json = JSON.stringify(output, null, values.compact ? undefined : 2);
+  if (values.out) await writeFile(values.out, `${json}\n`);
+  else process.stdout.write(`${json}\n`);
+
+  // Report on stderr so stdout stays valid JSON.
+  let errors = 0;
+  dataset.terms.forEach((term) => {
+    const { error, warning, info } = term.issueCounts;
+    errors += error;
+    console.error(
+      `${term.name}: ${term.rows.length} rows, ${error} error(s), ${warning} warning(s), ${info} note(s)`,
+    );
+    term.issues
+      .filter((issue) => issue.severity === 'error')
+      .forEach((issue) => {
+        const where = [issue.row && `row ${issue.row}`, issue.column].filter(Boolean).join(', ');
+        console.error(`  error${where ? ` (${where})` : ''}: ${issue.message}`);
+      });
+  });
+  return errors > 0 ? 1 : 0;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string' },
+        scale: { type: 'string' },
+        'status-codes': { type: 'string' },
+        ranking: { type: 'string' },
+        catalog: { type: 'string' },
+        aggregate: { type: 'boolean' },
+        compact: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, file] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== 'convert' || !file) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    return await convert(file, values);
+  } catch (e) {
+    console.error(`result-portal: ${e.message || e}`);
+    return 2;
+  }
+}
+
+process.exitCode = await main();
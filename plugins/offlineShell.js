@@ -0,0 +1,196 @@
+// Makes the production build installable and usable offline: emits a web
+// manifest and a service worker that precaches the app shell (index.html,
+// entry chunks and the UI chunk they lazy-load, CSS, icon) together with the
+// `virtual:result-data` chunk, so the last published dataset opens without a
+// connection. Other lazy chunks (SheetJS, jsPDF) are cached the first time
+// they load. Build-only; the dev server is left alone.
+
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+const DATA_MODULE = '\0virtual:result-data';
+const CACHE_PREFIX = 'result-portal-';
+const THEME_COLOR = '#020617';
+
+// Runs in the worker; stringified into sw.js with its arguments inlined.
+function serviceWorker(cacheName, cachePrefix, shellUrls, indexUrl, assetsPath) {
+  const NETWORK_TIMEOUT = 4000;
+  // Clients whose page load was answered from the cache.
+  const cachedClients = new Set();
+
+  self.addEventListener('install', (event) => {
+    event.waitUntil(
+      caches
+        .open(cacheName)
+        .then((cache) => cache.addAll(shellUrls))
+        .then(() => self.skipWaiting()),
+    );
+  });
+
+  self.addEventListener('activate', (event) => {
+    event.waitUntil(
+      caches
+        .keys()
+        .then((keys) =>
+          Promise.all(
+            keys
+              .filter((key) => key.startsWith(cachePrefix) && key !== cacheName)
+              .map((key) => caches.delete(key)),
+          ),
+        )
+        .then(() => self.clients.claim()),
+    );
+  });
+
+  const fetchWithTimeout = (request) =>
+    new Promise((done, fail) => {
+      const timer = setTimeout(() => fail(new Error('Network timeout')), NETWORK_TIMEOUT);
+      fetch(request).then(
+        (response) => {
+          clearTimeout(timer);
+          done(response);
+        },
+        (e) => {
+          clearTimeout(timer);
+          fail(e);
+        },
+      );
+    });
+
+  // Network first so a new build is picked up; the precached shell otherwise.
+  async function navigate(event) {
+    try {
+      return await fetchWithTimeout(event.request);
+    } catch (e) {
+      const cached = await caches.match(indexUrl, { cacheName });
+      if (!cached) throw e;
+      cachedClients.add(event.resultingClientId);
+      return cached;
+    }
+  }
+
+  // Hashed file names never change content, so the cache always wins.
+  async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  }
+
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+      event.respondWith(navigate(event));
+    } else if (url.pathname.startsWith(assetsPath) || shellUrls.includes(url.pathname)) {
+      event.respondWith(cacheFirst(request));
+    }
+  });
+
+  self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'served-from-cache') return;
+    event.ports[0]?.postMessage(cachedClients.has(event.source?.id));
+  });
+}
+
+// Static files reachable from a chunk without a dynamic import.
+function collectStatic(bundle, fileName, files) {
+  const item = bundle[fileName];
+  if (!item || files.has(fileName)) return;
+  files.add(fileName);
+  if (item.type !== 'chunk') return;
+  item.imports.forEach((name) => collectStatic(bundle, name, files));
+  item.viteMetadata?.importedCss.forEach((name) => files.add(name));
+  item.viteMetadata?.importedAssets.forEach((name) => files.add(name));
+}
+
+export default function offlineShell({ icon = 'src/logo.png', iconSize = 320 } = {}) {
+  let base = '/';
+  let assetsDir = 'assets';
+  let root = process.cwd();
+  let iconRef = null;
+
+  return {
+    name: 'offline-shell',
+    apply: 'build',
+
+    configResolved(config) {
+      base = config.base;
+      assetsDir = config.build.assetsDir;
+      root = config.root;
+    },
+
+    async buildStart() {
+      iconRef = this.emitFile({
+        type: 'asset',
+        name: 'icon.png',
+        source: await readFile(resolve(root, icon)),
+      });
+    },
+
+    transformIndexHtml() {
+      return [
+        {
+          tag: 'link',
+          attrs: { rel: 'manifest', href: `${base}manifest.webmanifest` },
+          injectTo: 'head',
+        },
+      ];
+    },
+
+    generateBundle(_, bundle) {
+      const iconFile = this.getFileName(iconRef);
+      const files = new Set([iconFile]);
+      Object.values(bundle).forEach((item) => {
+        if (item.type === 'chunk' && (item.isEntry || item.moduleIds.includes(DATA_MODULE))) {
+          collectStatic(bundle, item.fileName, files);
+          // The entry lazy-loads the UI for the build's mode; it is part of the shell.
+          if (item.isEntry) item.dynamicImports.forEach((name) => collectStatic(bundle, name, files));
+        } else if (item.fileName.endsWith('.css')) {
+          files.add(item.fileName);
+        }
+      });
+
+      const shellUrls = [base, `${base}manifest.webmanifest`, ...[...files].sort().map((name) => base + name)];
+      // A new build (new hashes) gets a new cache and replaces the old one.
+      const version = createHash('sha256').update(shellUrls.join('\n')).digest('hex').slice(0, 12);
+      const args = [`${CACHE_PREFIX}${version}`, CACHE_PREFIX, shellUrls, base, `${base}${assetsDir}/`];
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'manifest.webmanifest',
+        source: JSON.stringify(
+          {
+            name: 'Result Portal',
+            short_name: 'Results',
+            description: 'Academic results and class analytics.',
+            start_url: base,
+            scope: base,
+            display: 'standalone',
+            background_color: THEME_COLOR,
+            theme_color: THEME_COLOR,
+            icons: [
+              { src: base + iconFile, sizes: `${iconSize}x${iconSize}`, type: 'image/png', purpose: 'any' },
+            ],
+          },
+          null,
+          2,
+        ),
+      });
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `(${serviceWorker})(${args.map((arg) => JSON.stringify(arg)).join(', ')});\n`,
+      });
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// Parses the bundled workbook at build time and serves it as the
+// `virtual:result-data` module, so the app ships compact JSON instead of
+// result.xlsx and never needs SheetJS unless a user uploads a file.
+//
+// `mode` (or RESULT_PORTAL_MODE) picks what is published:
+//   'full'    – the whole dashboard (default)
+//   'private' – per-student lookup by registration number + PIN/date of birth;
+//               records are encrypted and only aggregates are readable
+//   'aggregate' – class aggregates only; no rows, names or registration numbers
+
+import { readFile } from 'node:fs/promises';
+import { basename, resolve } from 'node:path';
+import { buildAggregateDataset } from '../src/aggregates.js';
+import { compactDataset, normalizeDataset } from '../src/analysis.js';
+import { buildPrivateDataset } from '../src/privacy.js';
+import { parseWorkbook } from '../src/workbook.js';
+
+const MODULE_ID = 'virtual:result-data';
+const RESOLVED_ID = `\0${MODULE_ID}`;
+const MODES = ['full', 'private', 'aggregate'];
+
+export default function resultData({
+  file = process.env.RESULT_PORTAL_FILE || 'result.xlsx',
+  mode = process.env.RESULT_PORTAL_MODE || 'full',
+  verifyField = process.env.RESULT_PORTAL_VERIFY_FIELD || null,
+  minGroupSize = Number(process.env.RESULT_PORTAL_MIN_GROUP) || undefined,
+} = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown result portal mode "${mode}"; use one of ${MODES.join(', ')}.`);
+  }
+  let root = process.cwd();
+
+  return {
+    name: 'result-data',
+
+    // The app picks its entry UI from this at build time.
+    config() {
+      return { define: { 'import.meta.env.RESULT_PORTAL_MODE': JSON.stringify(mode) } };
+    },
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    resolveId(id) {
+      return id === MODULE_ID ? RESOLVED_ID : null;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+      const path = resolve(root, file);
+      this.addWatchFile(path);
+
+      let terms = [];
+      try {
+        terms = parseWorkbook(await readFile(path), 'buffer');
+      } catch (e) {
+        // The portal still works with uploads alone; it shows its empty state.
+        this.warn(`Could not read ${file}: ${e.message}`);
+      }
+
+      const options = { fileName: basename(path), verifyField, minGroupSize };
+      let data;
+      if (mode === 'private') {
+        try {
+          data = await buildPrivateDataset(terms, options);
+        } catch (e) {
+          this.error(e.message);
+        }
+        if (data.skipped) {
+          this.warn(`${data.skipped} row(s) without a registration number or ${data.verify.label} were left out.`);
+        }
+      } else if (mode === 'aggregate') {
+        data = buildAggregateDataset(terms, options);
+      } else {
+        data = compactDataset(normalizeDataset(terms, options));
+      }
+      return `export default ${JSON.stringify(data)};`;
+    },
+  };
+}
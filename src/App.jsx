@@ -1,35 +1,193 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react';
-import * as XLSX from 'xlsx';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   Bar,
   BarChart,
   CartesianGrid,
   Legend,
+  Line,
+  LineChart,
   ResponsiveContainer,
   Tooltip,
   XAxis,
   YAxis,
 } from 'recharts';
-import resultFile from '../result.xlsx?url';
+import {
+  analyzeRows,
+  COMPUTED_GPA_KEY,
+  detectColumnRoles,
+  expandCompactTerms,
+  gradeSubjects,
+  isBlank,
+  listColumns,
+  metricLabel,
+  numericColumnKeys as findNumericColumns,
+  resolveColumns,
+  resolveRankingField,
+  scoreRows,
+  usesDefaultSettings,
+  validateTerm,
+} from './analysis.js';
+import ChartDataTable, { ChartFigure } from './components/ChartDataTable.jsx';
+import ColumnMappingPanel from './components/ColumnMappingPanel.jsx';
+import ComparePanel, { MAX_COMPARE } from './components/ComparePanel.jsx';
+import CourseCatalogPanel from './components/CourseCatalogPanel.jsx';
+import DataIssuesPanel from './components/DataIssuesPanel.jsx';
+import DatasetLoader from './components/DatasetLoader.jsx';
+import FilterBuilderPanel from './components/FilterBuilderPanel.jsx';
+import HighlightedText from './components/HighlightedText.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import OfflineBadge, { useOfflineStatus } from './components/OfflineBadge.jsx';
+import GradingScalePanel from './components/GradingScalePanel.jsx';
+import StatusBadge from './components/StatusBadge.jsx';
+import StatusCodesPanel from './components/StatusCodesPanel.jsx';
+import RankingPanel from './components/RankingPanel.jsx';
+import RevisionPanel from './components/RevisionPanel.jsx';
+import SubjectAnalyticsPanel from './components/SubjectAnalyticsPanel.jsx';
+import { useChartPalette } from './components/ThemeProvider.jsx';
+import ThemeSwitcher from './components/ThemeSwitcher.jsx';
+import {
+  addSnapshot,
+  clearSnapshots,
+  clearStoredDataset,
+  deleteSnapshot,
+  listSnapshots,
+  loadStoredDataset,
+  saveStoredDataset,
+} from './datasetStore.js';
+import {
+  buildSnapshot,
+  formatSnapshotDate,
+  snapshotTimeline,
+  termSignature,
+} from './history.js';
+import { diffTerms } from './revisions.js';
+import {
+  clearColumnMapping,
+  columnSignature,
+  loadColumnMapping,
+  saveColumnMapping,
+} from './columnMappings.js';
+import {
+  applyCourseCatalog,
+  loadCourseCatalog,
+  saveCourseCatalog,
+} from './courseCatalog.js';
+import {
+  clearGradingScale,
+  loadGradingScale,
+  normalizeScale,
+  saveGradingScale,
+} from './grading.js';
+import { exportResultCards } from './resultCard.js';
+import { exportTable } from './tableExport.js';
+import { chartAxisProps, chartTooltipProps } from './theme.js';
+import { buildGpaCountData } from './chartData.js';
+import { readUrlState, writeUrlState } from './urlState.js';
+import { searchRows } from './search.js';
+import {
+  EMPTY_FILTER,
+  applyFilter,
+  loadFilterPresets,
+  saveFilterPresets,
+} from './filters.js';
+import {
+  clearRankingSettings,
+  loadRankingSettings,
+  normalizeRanking,
+  rankingExclusion,
+  saveRankingSettings,
+} from './ranking.js';
+import {
+  describe,
+  numericValues,
+  percentileRank,
+  topPercentTier,
+  zScore,
+} from './statistics.js';
+import {
+  averageValues,
+  clearStatusCodes,
+  loadStatusCodes,
+  matchStatusCode,
+  normalizeStatusCodes,
+  saveStatusCodes,
+} from './statusCodes.js';
+
+// result.xlsx is parsed at build time (plugins/resultData.js); the compact
+// module is only fetched when no uploaded dataset is stored.
+async function loadBundledData() {
+  const { default: data } = await import('virtual:result-data');
+  return {
+    fileName: data.source || 'result.xlsx',
+    builtAt: data.generatedAt || null,
+    terms: expandCompactTerms(data),
+  };
+}
+
+// Datasets saved before multi-sheet support only carried a single `rows` array.
+function storedTerms(stored) {
+  if (!stored) return null;
+  if (Array.isArray(stored.terms)) return stored.terms;
+  if (Array.isArray(stored.rows)) return [{ name: 'Sheet1', rows: stored.rows }];
+  return null;
+}
 
 function useResults() {
-  const [rows, setRows] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [source, setSource] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+
+  // Adds the dataset to the history unless an identical import is stored.
+  const recordSnapshot = async (dataset) => {
+    try {
+      const snapshot = buildSnapshot(dataset);
+      let stored = await listSnapshots();
+      if (!stored.some((s) => s.signature === snapshot.signature)) {
+        await addSnapshot(snapshot);
+        stored = await listSnapshots();
+      }
+      setSnapshots(stored);
+    } catch (e) {
+      console.warn('Could not update result history.', e);
+    }
+  };
 
   useEffect(() => {
     async function load() {
       try {
-        const res = await fetch(resultFile);
-        const buf = await res.arrayBuffer();
-        const workbook = XLSX.read(buf, { type: 'array' });
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        const json = XLSX.utils.sheet_to_json(sheet, { defval: '' });
-        setRows(json);
+        let stored = null;
+        try {
+          stored = await loadStoredDataset();
+        } catch (e) {
+          console.warn('Could not read stored dataset, using bundled file.', e);
+        }
+
+        const uploadedTerms = storedTerms(stored);
+        if (uploadedTerms) {
+          setTerms(uploadedTerms);
+          setSource({
+            kind: 'upload',
+            fileName: stored.fileName,
+            loadedAt: stored.loadedAt,
+          });
+          recordSnapshot({ ...stored, terms: uploadedTerms });
+          return;
+        }
+
+        const bundled = await loadBundledData();
+        setTerms(bundled.terms);
+        setSource({
+          kind: 'bundled',
+          fileName: bundled.fileName,
+          loadedAt: null,
+          builtAt: bundled.builtAt,
+        });
+        recordSnapshot({ ...bundled, loadedAt: null });
       } catch (e) {
         console.error(e);
-        setError('Failed to load results file.');
+        setError(`Failed to load results file: ${e.message || e}`);
       } finally {
         setLoading(false);
       }
@@ -38,276 +196,403 @@ function useResults() {
     load();
   }, []);
 
-  return { rows, loading, error };
-}
+  // Throws on unreadable files so the caller can report the problem while the
+  // current dataset stays on screen.
+  const loadFile = async (file) => {
+    const buf = await file.arrayBuffer();
+    // SheetJS is only needed for uploads, so it loads on demand.
+    const { parseWorkbook } = await import('./workbook.js');
+    const parsed = parseWorkbook(buf);
+    if (!parsed.length) {
+      throw new Error('None of the sheets in this file have rows.');
+    }
 
-function detectTextFields(rows) {
-  if (!rows.length) return [];
-  const sample = rows[0];
-  return Object.keys(sample).filter((key) => {
-    const value = sample[key];
-    return typeof value === 'string' && value.trim() !== '';
-  });
-}
+    const dataset = {
+      fileName: file.name,
+      loadedAt: new Date().toISOString(),
+      terms: parsed,
+    };
+    try {
+      await saveStoredDataset(dataset);
+    } catch (e) {
+      console.warn('Could not persist uploaded dataset.', e);
+    }
 
-function detectNumericFields(rows) {
-  if (!rows.length) return [];
-  const sample = rows[0];
-  return Object.keys(sample).filter((key) => {
-    const value = sample[key];
-    const num = typeof value === 'number' ? value : parseFloat(value);
-    return Number.isFinite(num);
-  });
-}
+    setTerms(parsed);
+    setSource({ kind: 'upload', fileName: dataset.fileName, loadedAt: dataset.loadedAt });
+    setError(null);
+    recordSnapshot(dataset);
+  };
 
-function extractSubjectFields(rows, textFields = []) {
-  if (!rows.length) return [];
-  const keys = Object.keys(rows[0]);
-  const textSet = new Set(textFields.map((k) => k.toLowerCase()));
-
-  return keys
-    .map((key) => {
-      const lower = key.toLowerCase();
-
-      // Skip obvious non-subject columns and text-like fields
-      if (
-        textSet.has(lower) ||
-        /(roll|reg|registration|enrol|enrollment|id)/.test(lower) ||
-        /(total|aggregate|overall|gpa|cgpa|sgpa|percentage|percent|score)/.test(
-          lower,
-        )
-      ) {
-        return null;
-      }
+  const resetToDefault = async () => {
+    const bundled = await loadBundledData();
+    try {
+      await clearStoredDataset();
+    } catch (e) {
+      console.warn('Could not clear stored dataset.', e);
+    }
 
-      // Require column to be numeric wherever it has values
-      let hasNumeric = false;
-      for (const row of rows) {
-        const raw = row[key];
-        if (raw === '' || raw == null) continue;
-        const num = typeof raw === 'number' ? raw : parseFloat(raw);
-        if (!Number.isFinite(num)) {
-          return null;
-        }
-        hasNumeric = true;
-      }
+    setTerms(bundled.terms);
+    setSource({
+      kind: 'bundled',
+      fileName: bundled.fileName,
+      loadedAt: null,
+      builtAt: bundled.builtAt,
+    });
+    setError(null);
+    recordSnapshot({ ...bundled, loadedAt: null });
+  };
 
-      if (!hasNumeric) return null;
+  const removeSnapshot = async (id) => {
+    try {
+      await deleteSnapshot(id);
+      setSnapshots(await listSnapshots());
+    } catch (e) {
+      console.warn('Could not remove snapshot.', e);
+    }
+  };
 
-      let credit = null;
-      const parenMatch = key.match(/\((\d+(\.\d+)?)\)/);
-      if (parenMatch) {
-        credit = parseFloat(parenMatch[1]);
-      } else {
-        const trailingMatch = key.match(/(\d+(\.\d+)?)\s*$/);
-        if (trailingMatch) {
-          credit = parseFloat(trailingMatch[1]);
-        }
-      }
+  const clearHistory = async () => {
+    try {
+      await clearSnapshots();
+      setSnapshots([]);
+    } catch (e) {
+      console.warn('Could not clear result history.', e);
+    }
+  };
 
-      return { key, label: prettyKey(key), credit };
-    })
-    .filter(Boolean);
+  return {
+    terms,
+    source,
+    loading,
+    error,
+    loadFile,
+    resetToDefault,
+    snapshots,
+    removeSnapshot,
+    clearHistory,
+  };
 }
 
-function buildHistogramData(rows, field, bins = 8) {
-  if (!rows.length || !field) return [];
-
-  const values = rows
-    .map((row) => {
-      const raw = row[field];
-      const num = typeof raw === 'number' ? raw : parseFloat(raw);
-      return Number.isFinite(num) ? num : null;
-    })
-    .filter((v) => v !== null);
-
-  if (!values.length) return [];
-
-  const min = Math.min(...values);
-  const max = Math.max(...values);
-  if (!Number.isFinite(min) || !Number.isFinite(max) || min === max) {
-    return [];
-  }
-
-  const step = (max - min) / bins;
-  const data = Array.from({ length: bins }, (_, i) => {
-    const start = min + i * step;
-    const end = i === bins - 1 ? max : min + (i + 1) * step;
-    return {
-      range: `${Math.round(start)} – ${Math.round(end)}`,
-      count: 0,
-    };
-  });
-
-  values.forEach((v) => {
-    let idx = Math.floor(((v - min) / (max - min)) * bins);
-    if (idx >= bins) idx = bins - 1;
-    if (idx < 0) idx = 0;
-    data[idx].count += 1;
-  });
-
-  return data;
+// `savedMappings` holds overrides edited this session, keyed by header
+// signature; other layouts fall back to what is saved in localStorage.
+function mappingFor(savedMappings, signature) {
+  return savedMappings[signature] ?? loadColumnMapping(signature);
 }
 
-function buildGpaCountData(rows, metrics) {
-  if (!rows.length || !metrics.length) return [];
-
-  const bins = new Map();
-
-  metrics.forEach((metricKey) => {
-    rows.forEach((row) => {
-      const raw = row[metricKey];
-      const num = typeof raw === 'number' ? raw : parseFloat(raw);
-      if (!Number.isFinite(num)) return;
-
-      const rounded = Number(num.toFixed(2));
-      const binKey = `${rounded}`;
-      let bin = bins.get(binKey);
-      if (!bin) {
-        bin = { gpa: rounded };
-        bins.set(binKey, bin);
-      }
-      bin[metricKey] = (bin[metricKey] || 0) + 1;
-    });
+// Runs the dashboard's grading and ranking on a single term so other
+// semesters and imports can be joined to the selected student with the same
+// positions the list shows. `settings` holds the viewer's status codes, scale,
+// ranking, catalog and `savedMappings`.
+function analyzeTerm(rows, settings) {
+  const result = analyzeRows(rows, {
+    ...settings,
+    mapping: mappingFor(settings.savedMappings, columnSignature(listColumns(rows))),
   });
-
-  return Array.from(bins.values()).sort((a, b) => a.gpa - b.gpa);
+  return {
+    idField: result.idField,
+    metricField: result.primaryNumericField,
+    subjectCount: result.subjectFields.length,
+    rankedCount: result.rows.filter((row) => row._position != null).length,
+    rows: result.rows,
+  };
 }
 
-function prettyKey(key) {
-  return String(key)
-    .replaceAll('_', ' ')
-    .replace(/([a-z])([A-Z])/g, '$1 $2')
-    .replace(/\s+/g, ' ')
-    .replace(/\b\w/g, (c) => c.toUpperCase())
-    .trim();
+function normalizeId(value) {
+  if (value === '' || value == null) return '';
+  return String(value).trim().toLowerCase();
 }
 
-function metricLabel(key) {
-  const lower = String(key).toLowerCase();
-  if (lower === 'cg' || lower === 'cgpa' || lower.includes(' cg') || lower.includes('cgpa')) {
-    return 'CGPA';
+// Compact "P85 · z +1.20" label for percentile/z-score standings.
+function formatStanding(standing) {
+  const parts = [`P${Math.round(standing.percentile)}`];
+  if (standing.z != null) {
+    const z = Math.round(standing.z * 100) / 100;
+    parts.push(`z ${z > 0 ? '+' : z < 0 ? '−' : '±'}${Math.abs(z).toFixed(2)}`);
   }
-  return prettyKey(key);
+  return parts.join(' · ');
 }
 
 function App() {
-  const { rows: rawRows, loading, error } = useResults();
-  const [search, setSearch] = useState('');
+  const {
+    terms,
+    source,
+    loading,
+    error,
+    loadFile,
+    resetToDefault,
+    snapshots,
+    removeSnapshot,
+    clearHistory,
+  } = useResults();
+  const offline = useOfflineStatus();
+  const chart = useChartPalette();
+  const tooltipProps = chartTooltipProps(chart);
+  const axisProps = chartAxisProps(chart);
+  const [initialUrlState] = useState(() => readUrlState());
+  const [search, setSearch] = useState(initialUrlState.search);
   const [selectedRow, setSelectedRow] = useState(null);
   const [activeMetricKeys, setActiveMetricKeys] = useState([]);
-  const [onlyWithMetric, setOnlyWithMetric] = useState(false);
-  const [sortMode, setSortMode] = useState('rank'); // 'rank' or 'id'
+  const [onlyWithMetric, setOnlyWithMetric] = useState(initialUrlState.onlyWithMetric);
+  const [sortMode, setSortMode] = useState(initialUrlState.sort); // 'rank' or 'id'
+  const [activeTermName, setActiveTermName] = useState(initialUrlState.term);
+  // 'auto' follows the latest earlier import of the active term; null is off.
+  const [revisionBaseline, setRevisionBaseline] = useState('auto');
   const detailRef = useRef(null);
+  const detailHeadingRef = useRef(null);
+  const listRef = useRef(null);
+  // Roving tab stop in the student grid (column 0 = student, 1 = compare).
+  const [listFocus, setListFocus] = useState({ row: 0, column: 0 });
+  const lastSelectedIdRef = useRef(normalizeId(initialUrlState.reg) || null);
+  // Metric names from the URL wait here until the workbook's columns are known.
+  const pendingMetricsRef = useRef(initialUrlState.metrics);
+
+  // Sheets are usually appended as semesters finish, so the last one is the
+  // most recent term and the sensible default.
+  const activeTerm = useMemo(
+    () =>
+      terms.find((term) => term.name === activeTermName) ||
+      terms[terms.length - 1] ||
+      null,
+    [terms, activeTermName],
+  );
+  const rawRows = useMemo(() => activeTerm?.rows || [], [activeTerm]);
+
+  // A new dataset or term invalidates the selected row object; the effect
+  // below picks the same student again once the new rows are ranked.
+  useEffect(() => {
+    setSelectedRow(null);
+  }, [rawRows]);
+
+  const columns = useMemo(() => listColumns(rawRows), [rawRows]);
+  const headerSignature = useMemo(() => columnSignature(columns), [columns]);
+  const [statusCodes, setStatusCodes] = useState(() => loadStatusCodes());
+  const detectedRoles = useMemo(
+    () => detectColumnRoles(rawRows, statusCodes),
+    [rawRows, statusCodes],
+  );
+
+  // Overrides are saved to localStorage and mirrored here as the mapping
+  // editor changes them, so every term using the same layout re-analyses.
+  const [savedMappings, setSavedMappings] = useState({});
+  const mappingOverrides = useMemo(
+    () => mappingFor(savedMappings, headerSignature),
+    [savedMappings, headerSignature],
+  );
 
-  const textFields = useMemo(() => detectTextFields(rawRows), [rawRows]);
-  const numericFields = useMemo(() => detectNumericFields(rawRows), [rawRows]);
+  const columnRoles = useMemo(() => {
+    const roles = { ...detectedRoles };
+    Object.entries(mappingOverrides).forEach(([column, role]) => {
+      if (column in roles) roles[column] = role;
+    });
+    return roles;
+  }, [detectedRoles, mappingOverrides]);
+
+  const {
+    primaryTextField,
+    idField,
+    creditField,
+    subjectFields: detectedSubjectFields,
+    totalFields,
+    primaryNumericField,
+  } = useMemo(() => resolveColumns(rawRows, columnRoles), [rawRows, columnRoles]);
+
+  const [courseCatalog, setCourseCatalog] = useState(() => loadCourseCatalog());
   const subjectFields = useMemo(
-    () => extractSubjectFields(rawRows, textFields),
-    [rawRows, textFields],
+    () => applyCourseCatalog(detectedSubjectFields, courseCatalog),
+    [detectedSubjectFields, courseCatalog],
   );
 
-  const primaryTextField = useMemo(() => {
-    const joined = textFields.join(' ').toLowerCase();
-    const candidates = ['name', 'student', 'candidate'];
-    const found = candidates.find((c) => joined.includes(c));
-    if (!found) return textFields[0] || null;
-    return textFields.find((f) => f.toLowerCase().includes(found)) || textFields[0] || null;
-  }, [textFields]);
-
-  const idField = useMemo(() => {
-    const sample = rawRows[0];
-    const keys = sample ? Object.keys(sample) : [];
-    const candidates = ['roll', 'reg', 'registration', 'enrol', 'enrollment', 'admission', 'id'];
-
-    // Prefer text fields if possible
-    const orderedKeys = [
-      ...textFields,
-      ...keys.filter((k) => !textFields.includes(k)),
-    ];
-
-    const lowerKeys = orderedKeys.map((k) => k.toLowerCase());
-    const matchedCandidate = candidates.find((cand) =>
-      lowerKeys.some((k) => k.includes(cand)),
-    );
-    if (!matchedCandidate) return null;
+  const handleCourseCatalogChange = (catalog) => {
+    saveCourseCatalog(catalog);
+    setCourseCatalog(catalog);
+  };
 
-    return (
-      orderedKeys.find((k) =>
-        k.toLowerCase().includes(matchedCandidate),
-      ) || null
-    );
-  }, [rawRows, textFields]);
-
-  const primaryNumericField = useMemo(() => {
-    if (!numericFields.length) return null;
-    const preferred = [
-      'cg',
-      'cgpa',
-      'gpa',
-      'total',
-      'aggregate',
-      'overall',
-      'sgpa',
-      'percentage',
-      'percent',
-      'score',
-    ];
-    const lower = numericFields.map((f) => f.toLowerCase());
-    const idx = lower.findIndex((f) => preferred.some((p) => f.includes(p)));
-    if (idx >= 0) return numericFields[idx];
-
-    if (subjectFields.length) {
-      return subjectFields[0].key;
+  const handleColumnRoleChange = (column, role) => {
+    const next = { ...mappingOverrides };
+    if (role === detectedRoles[column]) {
+      delete next[column];
+    } else {
+      next[column] = role;
     }
+    saveColumnMapping(headerSignature, next);
+    setSavedMappings((prev) => ({ ...prev, [headerSignature]: next }));
+  };
 
-    return numericFields[0];
-  }, [numericFields, subjectFields]);
+  const handleColumnMappingReset = () => {
+    clearColumnMapping(headerSignature);
+    setSavedMappings((prev) => ({ ...prev, [headerSignature]: {} }));
+  };
 
-  const rows = useMemo(() => {
-    if (!rawRows.length || !primaryNumericField) return rawRows;
+  const [gradingScale, setGradingScale] = useState(() => loadGradingScale());
 
-    const validRows = rawRows.map((row, index) => {
-      const val = typeof row[primaryNumericField] === 'number'
-        ? row[primaryNumericField]
-        : parseFloat(row[primaryNumericField]);
-      return { val: Number.isFinite(val) ? val : -1, index };
-    });
+  const gradedSubjects = useMemo(
+    () => gradeSubjects(rawRows, subjectFields, gradingScale),
+    [rawRows, subjectFields, gradingScale],
+  );
 
-    // Sort to determine ranks
-    const sorted = [...validRows].sort((a, b) => b.val - a.val);
+  // The sheet's own CG/total column, checked against the computed GPA.
+  const sheetGpaField = totalFields[0] || null;
 
-    const rankMap = new Map();
-    let currentRank = 1;
-    for (let i = 0; i < sorted.length; i++) {
-      if (i > 0 && sorted[i].val < sorted[i - 1].val) {
-        currentRank = i + 1;
-      }
-      if (sorted[i].val !== -1) {
-        rankMap.set(sorted[i].index, currentRank);
-      }
+  const [rankingSettings, setRankingSettings] = useState(() => loadRankingSettings());
+
+  const rankingField = useMemo(
+    () =>
+      resolveRankingField(rankingSettings, {
+        columns,
+        hasGrades: gradedSubjects.length > 0,
+        primaryNumericField,
+      }),
+    [rankingSettings, gradedSubjects, columns, primaryNumericField],
+  );
+
+  // Bundled terms carry ranks worked out at build time with the default
+  // settings; any change to those settings re-ranks in the browser.
+  const shippedRanks = useMemo(
+    () =>
+      activeTerm?.ranks &&
+      usesDefaultSettings({
+        statusCodes,
+        scale: gradingScale,
+        ranking: rankingSettings,
+        catalog: courseCatalog,
+        mapping: mappingOverrides,
+      })
+        ? activeTerm.ranks
+        : null,
+    [activeTerm, statusCodes, gradingScale, rankingSettings, courseCatalog, mappingOverrides],
+  );
+
+  const rows = useMemo(
+    () =>
+      scoreRows(rawRows, {
+        creditField,
+        subjects: gradedSubjects,
+        scale: gradingScale,
+        statusCodes,
+        sheetGpaField,
+        rankingField,
+        ranking: rankingSettings,
+        idField,
+        ranks: shippedRanks,
+      }),
+    [rawRows, creditField, gradedSubjects, gradingScale, statusCodes, sheetGpaField, rankingField, rankingSettings, idField, shippedRanks],
+  );
+
+  const unrankedCount = useMemo(
+    () => rows.filter((row) => row._position == null).length,
+    [rows],
+  );
+  const rankedCount = rows.length - unrankedCount;
+
+  // Class-wide distributions behind each student's percentile and z-score.
+  // Subjects follow the status-code averaging policy, like Subject Analytics.
+  const distributions = useMemo(() => {
+    const out = {};
+    if (primaryNumericField) {
+      const values = numericValues(rows, primaryNumericField);
+      out[primaryNumericField] = { values, stats: describe(values) };
     }
+    subjectFields.forEach((subject) => {
+      const values = averageValues(rows, subject.key, statusCodes);
+      out[subject.key] = { values, stats: describe(values) };
+    });
+    return out;
+  }, [rows, primaryNumericField, subjectFields, statusCodes]);
+
+  const standingFor = (row, key) => {
+    const dist = distributions[key];
+    const raw = row[key];
+    const value = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!dist || !Number.isFinite(value)) return null;
+    return {
+      percentile: percentileRank(dist.values, value),
+      z: zScore(dist.stats, value),
+    };
+  };
+
+  const gpaMismatchCount = useMemo(
+    () => rows.filter((row) => row._gpaMismatch).length,
+    [rows],
+  );
+  const gpaUnverifiableCount = useMemo(
+    () => rows.filter((row) => row._gpa != null && !row._gpaWeighted).length,
+    [rows],
+  );
+  const hasCredits = useMemo(() => rows.some((row) => row._credits != null), [rows]);
+
+  const numericColumnKeys = useMemo(
+    () => findNumericColumns(rawRows, columnRoles, statusCodes),
+    [rawRows, columnRoles, statusCodes],
+  );
+
+  const dataIssues = useMemo(
+    () =>
+      validateTerm(rawRows, {
+        columnRoles,
+        overrides: mappingOverrides,
+        subjects: gradedSubjects,
+        scale: gradingScale,
+        statusCodes,
+        idField,
+        nameField: primaryTextField,
+      }),
+    [rawRows, columnRoles, mappingOverrides, gradedSubjects, gradingScale, statusCodes, idField, primaryTextField],
+  );
+
+  // Dismissing hides the panel until the set of issues changes.
+  const issuesSignature = `${source?.fileName}|${activeTerm?.name}|${dataIssues.length}`;
+  const [dismissedIssues, setDismissedIssues] = useState(null);
+
+  const handleGradingScaleChange = (scale) => {
+    const normalized = normalizeScale(scale);
+    saveGradingScale(normalized);
+    setGradingScale(normalized);
+  };
+
+  const handleGradingScaleReset = () => {
+    clearGradingScale();
+    setGradingScale(normalizeScale(null));
+  };
+
+  const handleStatusCodesChange = (codes) => {
+    const normalized = normalizeStatusCodes(codes);
+    saveStatusCodes(normalized);
+    setStatusCodes(normalized);
+  };
+
+  const handleStatusCodesReset = () => {
+    clearStatusCodes();
+    setStatusCodes(normalizeStatusCodes(null));
+  };
 
-    return rawRows.map((row, index) => ({
-      ...row,
-      _position: rankMap.get(index) || null,
-    }));
-  }, [rawRows, primaryNumericField]);
+  const handleRankingChange = (settings) => {
+    const normalized = normalizeRanking(settings);
+    saveRankingSettings(normalized);
+    setRankingSettings(normalized);
+  };
+
+  const handleRankingReset = () => {
+    clearRankingSettings();
+    setRankingSettings(normalizeRanking(null));
+  };
 
   const defaultMetricKey = useMemo(
     () => primaryNumericField || subjectFields[0]?.key || null,
     [primaryNumericField, subjectFields],
   );
 
-  const chartMetricKeys = useMemo(
-    () =>
-      activeMetricKeys.length
-        ? activeMetricKeys
-        : defaultMetricKey
-          ? [defaultMetricKey]
-          : [],
-    [activeMetricKeys, defaultMetricKey],
-  );
+  // Drop metrics that disappeared after a term switch or re-mapping.
+  const chartMetricKeys = useMemo(() => {
+    const available = activeMetricKeys.filter(
+      (key) =>
+        columnRoles[key] === 'total' ||
+        columnRoles[key] === 'subject' ||
+        (key === COMPUTED_GPA_KEY && gradedSubjects.length > 0),
+    );
+    if (available.length) return available;
+    return defaultMetricKey ? [defaultMetricKey] : [];
+  }, [activeMetricKeys, defaultMetricKey, columnRoles, gradedSubjects]);
 
   const filterMetricKey = useMemo(
     () => chartMetricKeys[0] || null,
@@ -315,73 +600,103 @@ function App() {
   );
 
   const metricOptions = useMemo(() => {
-    const options = [];
-    const seen = new Set();
+    const options = totalFields.map((key) => ({ key, label: metricLabel(key) }));
+    const seen = new Set(totalFields);
 
-    const isIdLike = (key) => {
-      const lower = String(key).toLowerCase();
-      return /(roll|reg|registration|enrol|enrollment|id)/.test(lower);
-    };
-
-    if (primaryNumericField && !isIdLike(primaryNumericField)) {
-      options.push({
-        key: primaryNumericField,
-        label: metricLabel(primaryNumericField),
-      });
-      seen.add(primaryNumericField);
+    if (gradedSubjects.length) {
+      options.push({ key: COMPUTED_GPA_KEY, label: metricLabel(COMPUTED_GPA_KEY) });
     }
 
     subjectFields.forEach((s) => {
-      if (!seen.has(s.key) && !isIdLike(s.key)) {
+      if (!seen.has(s.key)) {
         options.push({ key: s.key, label: s.label });
         seen.add(s.key);
       }
     });
 
     return options;
-  }, [primaryNumericField, subjectFields]);
+  }, [totalFields, subjectFields, gradedSubjects]);
 
-  const filteredRows = useMemo(() => {
-    let baseRows = rows;
+  const [rowFilter, setRowFilter] = useState(EMPTY_FILTER);
+  const [filterPresets, setFilterPresets] = useState(() => loadFilterPresets());
 
-    if (onlyWithMetric && filterMetricKey) {
-      baseRows = baseRows.filter((row) => {
-        const raw = row[filterMetricKey];
-        if (raw === '' || raw == null) return false;
-        const num = typeof raw === 'number' ? raw : parseFloat(raw);
-        return Number.isFinite(num);
-      });
-    }
+  // Rows passing the filter builder; charts and summary tiles use this set.
+  const classRows = useMemo(
+    () => applyFilter(rows, rowFilter, { idField }),
+    [rows, rowFilter, idField],
+  );
 
-    if (!search.trim()) {
-      return [...baseRows].sort((a, b) => {
-        if (sortMode === 'rank') {
-          return (a._position || 999) - (b._position || 999);
-        }
-        if (idField) {
-          return String(a[idField]).localeCompare(String(b[idField]), undefined, { numeric: true });
-        }
-        return 0;
-      });
-    }
+  const handleSaveFilterPreset = (name) => {
+    const next = [...filterPresets.filter((preset) => preset.name !== name), { name, filter: rowFilter }];
+    saveFilterPresets(next);
+    setFilterPresets(next);
+  };
 
-    const q = search.toLowerCase();
-    return baseRows
-      .filter((row) =>
-        Object.values(row).some((value) =>
-          String(value).toLowerCase().includes(q),
-        ),
-      )
-      .sort((a, b) => {
-        if (sortMode === 'rank') {
-          return (a._position || 999) - (b._position || 999);
-        }
-        if (idField) {
-          return String(a[idField]).localeCompare(String(b[idField]), undefined, { numeric: true });
-        }
-        return 0;
-      });
-  }, [rows, search, onlyWithMetric, filterMetricKey, sortMode, idField]);
+  const handleDeleteFilterPreset = (name) => {
+    const next = filterPresets.filter((preset) => preset.name !== name);
+    saveFilterPresets(next);
+    setFilterPresets(next);
+  };
+
+  const metricRows = useMemo(() => {
+    if (!onlyWithMetric || !filterMetricKey) return classRows;
+    return classRows.filter((row) => {
+      const raw = row[filterMetricKey];
+      if (raw === '' || raw == null) return false;
+      const num = typeof raw === 'number' ? raw : parseFloat(raw);
+      return Number.isFinite(num);
+    });
+  }, [classRows, onlyWithMetric, filterMetricKey]);
+
+  // Search results in relevance order, with highlight ranges per field.
+  const searchMatches = useMemo(
+    () =>
+      search.trim()
+        ? searchRows(metricRows, search, {
+          nameField: primaryTextField,
+          idField,
+          fallbackFields: columns,
+        })
+        : [],
+    [metricRows, search, primaryTextField, idField, columns],
+  );
+
+  const searchHighlights = useMemo(
+    () => new Map(searchMatches.map((match) => [match.row, match.highlights])),
+    [searchMatches],
+  );
+
+  // Dropdown state for keyboard navigation of the top matches.
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [activeResult, setActiveResult] = useState(0);
+  const searchListRef = useRef(null);
+  const dropdownResults = searchMatches.slice(0, 8);
+  const dropdownOpen = searchOpen && search.trim() !== '' && dropdownResults.length > 0;
+
+  useEffect(() => {
+    if (!dropdownOpen || !searchListRef.current) return;
+    const option = searchListRef.current.querySelector(`#search-result-${activeResult}`);
+    if (option) option.scrollIntoView({ block: 'nearest' });
+  }, [activeResult, dropdownOpen]);
+
+  const filteredRows = useMemo(() => {
+    const baseRows = search.trim() ? searchMatches.map((match) => match.row) : metricRows;
+    return [...baseRows].sort((a, b) => {
+      if (sortMode === 'rank') {
+        return (a._position || 999) - (b._position || 999);
+      }
+      if (idField) {
+        return String(a[idField]).localeCompare(String(b[idField]), undefined, { numeric: true });
+      }
+      return 0;
+    });
+  }, [metricRows, search, searchMatches, sortMode, idField]);
+
+  // The grid's tab stop follows the selected student.
+  useEffect(() => {
+    const index = filteredRows.indexOf(selectedRow);
+    if (index >= 0) setListFocus((current) => (current.row === index ? current : { row: index, column: 0 }));
+  }, [filteredRows, selectedRow]);
 
   const chartData = useMemo(
     () => buildGpaCountData(filteredRows, chartMetricKeys),
@@ -389,12 +704,12 @@ function App() {
   );
 
   const summary = useMemo(() => {
-    const totalStudents = rows.length;
+    const totalStudents = classRows.length;
     if (!totalStudents || !primaryNumericField) {
       return { totalStudents, avgScore: null, maxScore: null, minScore: null };
     }
 
-    const numericValues = rows
+    const numericValues = classRows
       .map((row) => {
         const raw = row[primaryNumericField];
         const num = typeof raw === 'number' ? raw : parseFloat(raw);
@@ -412,7 +727,7 @@ function App() {
     const minScore = Math.min(...numericValues);
 
     return { totalStudents, avgScore, maxScore, minScore };
-  }, [rows, primaryNumericField]);
+  }, [classRows, primaryNumericField]);
 
   const subjectMaxMap = useMemo(() => {
     const map = {};
@@ -448,23 +763,400 @@ function App() {
       .filter(Boolean);
   }, [selectedRow, subjectFields]);
 
+  useEffect(() => {
+    if (selectedRow && idField) {
+      lastSelectedIdRef.current = normalizeId(selectedRow[idField]);
+    }
+  }, [selectedRow, idField]);
+
   useEffect(() => {
     if (!rows.length || selectedRow) return;
 
-    const targetReg = '2024331008';
+    const targetReg = lastSelectedIdRef.current;
     let initial = null;
 
-    if (idField) {
+    if (idField && targetReg) {
       initial = rows.find(
         (row) =>
           row[idField] != null &&
-          String(row[idField]).trim().toLowerCase() === targetReg.toLowerCase(),
+          normalizeId(row[idField]) === targetReg,
       );
     }
 
-    setSelectedRow(initial || rows[0]);
+    // Without a requested student, open on the class topper.
+    const topRanked = rows.reduce(
+      (best, row) =>
+        row._position != null && (best._position == null || row._position < best._position)
+          ? row
+          : best,
+      rows[0],
+    );
+
+    setSelectedRow(initial || topRanked);
   }, [rows, selectedRow, idField]);
 
+  const resolveMetricParam = useCallback(
+    (param) => {
+      const lower = String(param).toLowerCase();
+      const aliasLabel = metricLabel(param).toLowerCase();
+      return (
+        metricOptions.find(
+          (opt) =>
+            opt.key.toLowerCase() === lower ||
+            opt.label.toLowerCase() === lower ||
+            opt.label.toLowerCase() === aliasLabel,
+        )?.key || null
+      );
+    },
+    [metricOptions],
+  );
+
+  useEffect(() => {
+    if (!pendingMetricsRef.current.length || !metricOptions.length) return;
+    const keys = pendingMetricsRef.current.map(resolveMetricParam).filter(Boolean);
+    pendingMetricsRef.current = [];
+    setActiveMetricKeys(Array.from(new Set(keys)));
+  }, [metricOptions, resolveMetricParam]);
+
+  const selectedReg = selectedRow && idField ? String(selectedRow[idField] ?? '').trim() : '';
+
+  useEffect(() => {
+    if (!rows.length) return;
+    writeUrlState({
+      reg: selectedReg,
+      search,
+      metrics: pendingMetricsRef.current.length ? pendingMetricsRef.current : activeMetricKeys,
+      onlyWithMetric,
+      sort: sortMode,
+      term: activeTermName,
+    });
+  }, [rows, selectedReg, search, activeMetricKeys, onlyWithMetric, sortMode, activeTermName]);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (e) {
+      console.error(e);
+      window.prompt('Copy this link:', window.location.href);
+    }
+  };
+
+  // Back/forward restore the view stored in the URL they land on.
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      setSearch(state.search);
+      setSortMode(state.sort);
+      setOnlyWithMetric(state.onlyWithMetric);
+      setActiveTermName(state.term);
+      setActiveMetricKeys(
+        Array.from(new Set(state.metrics.map(resolveMetricParam).filter(Boolean))),
+      );
+
+      const reg = normalizeId(state.reg);
+      if (reg && idField) {
+        lastSelectedIdRef.current = reg;
+        const match = rows.find((row) => normalizeId(row[idField]) === reg);
+        if (match) setSelectedRow(match);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [rows, idField, resolveMetricParam]);
+
+  // The settings every other term and import is analysed with.
+  const termSettings = useMemo(
+    () => ({
+      statusCodes,
+      scale: gradingScale,
+      ranking: rankingSettings,
+      catalog: courseCatalog,
+      savedMappings,
+    }),
+    [statusCodes, gradingScale, rankingSettings, courseCatalog, savedMappings],
+  );
+
+  const analyzedTerms = useMemo(
+    () => terms.map((term) => ({ name: term.name, ...analyzeTerm(term.rows, termSettings) })),
+    [terms, termSettings],
+  );
+
+  const termHistory = useMemo(() => {
+    if (analyzedTerms.length < 2 || !selectedRow || !idField) return [];
+    const targetId = normalizeId(selectedRow[idField]);
+    if (!targetId) return [];
+
+    return analyzedTerms.map((term) => {
+      const match = term.idField
+        ? term.rows.find((row) => normalizeId(row[term.idField]) === targetId)
+        : null;
+      return {
+        name: term.name,
+        isActive: term.name === activeTerm?.name,
+        metricField: term.metricField,
+        value: match && term.metricField ? match[term.metricField] : null,
+        position: match ? match._position : null,
+        classSize: term.rankedCount,
+        found: Boolean(match),
+      };
+    });
+  }, [analyzedTerms, selectedRow, idField, activeTerm]);
+
+  // Every distinct term version from the stored snapshots, ranked the same
+  // way as the semester history.
+  const timeline = useMemo(
+    () =>
+      snapshotTimeline(snapshots).map((point) => ({
+        ...point,
+        ...analyzeTerm(point.rows, termSettings),
+      })),
+    [snapshots, termSettings],
+  );
+
+  const classTrend = useMemo(
+    () =>
+      timeline.map((point) => {
+        const values = point.metricField ? numericValues(point.rows, point.metricField) : [];
+        const average = values.length
+          ? values.reduce((sum, value) => sum + value, 0) / values.length
+          : null;
+        return {
+          key: point.key,
+          label: point.label,
+          metric: point.metricField ? metricLabel(point.metricField) : '',
+          average: average == null ? null : Math.round(average * 100) / 100,
+          count: values.length,
+        };
+      }),
+    [timeline],
+  );
+
+  const studentTrend = useMemo(() => {
+    if (timeline.length < 2 || !selectedRow || !idField) return [];
+    const targetId = normalizeId(selectedRow[idField]);
+    if (!targetId) return [];
+
+    const points = [];
+    timeline.forEach((point) => {
+      const match = point.idField
+        ? point.rows.find((row) => normalizeId(row[point.idField]) === targetId)
+        : null;
+      if (!match) return;
+      const value = point.metricField ? parseFloat(match[point.metricField]) : NaN;
+      points.push({
+        key: point.key,
+        label: point.label,
+        value: Number.isFinite(value) ? value : null,
+        position: match._position,
+        classSize: point.rankedCount,
+      });
+    });
+    return points.length >= 2 ? points : [];
+  }, [timeline, selectedRow, idField]);
+
+  // Earlier imports of the active term that differ from what is loaded now,
+  // newest first.
+  const revisionBaselines = useMemo(() => {
+    if (!activeTerm) return [];
+    const currentSignature = termSignature(activeTerm);
+    const seen = new Set([currentSignature]);
+    const baselines = [];
+    [...snapshots].reverse().forEach((snapshot) => {
+      const term = snapshot.terms.find((t) => t.name === activeTerm.name);
+      if (!term || seen.has(term.signature)) return;
+      seen.add(term.signature);
+      baselines.push({
+        key: String(snapshot.id),
+        label: `${snapshot.fileName} · ${formatSnapshotDate(snapshot.importedAt)}`,
+        term,
+      });
+    });
+    return baselines;
+  }, [snapshots, activeTerm]);
+
+  const activeBaseline =
+    revisionBaseline === null
+      ? null
+      : revisionBaselines.find((b) => b.key === revisionBaseline) || revisionBaselines[0] || null;
+
+  // Both sides are ranked on their primary metric, as in the semester history.
+  const revisionDiff = useMemo(() => {
+    if (!activeBaseline || !idField) return null;
+    const current = analyzedTerms.find((term) => term.name === activeTerm?.name);
+    if (!current) return null;
+    return diffTerms({
+      previous: analyzeTerm(activeBaseline.term.rows, termSettings),
+      current,
+      subjects: subjectFields,
+    });
+  }, [activeBaseline, analyzedTerms, activeTerm, idField, subjectFields, termSettings]);
+
+  const revisionById = useMemo(
+    () => new Map((revisionDiff?.changed || []).map((change) => [change.id, change])),
+    [revisionDiff],
+  );
+  const selectedRevision =
+    selectedRow && idField ? revisionById.get(normalizeId(selectedRow[idField])) : null;
+  // Names the selected student in chart labels for screen readers.
+  const selectedName =
+    selectedRow && primaryTextField && selectedRow[primaryTextField]
+      ? String(selectedRow[primaryTextField])
+      : 'the selected student';
+  const trendMetricLabel = primaryNumericField ? metricLabel(primaryNumericField) : 'Metric';
+
+  const selectRowById = (id) => {
+    const target = normalizeId(id);
+    const row = rows.find((r) => normalizeId(r[idField]) === target);
+    if (row) handleRowClick(row);
+  };
+
+  const buildResultCard = (row) => {
+    const subjects = subjectFields
+      .filter((subject) => !isBlank(row[subject.key]))
+      .map((subject) => {
+        const raw = row[subject.key];
+        const num = typeof raw === 'number' ? raw : parseFloat(raw);
+        const grade = row._grades?.[subject.key];
+        return {
+          label: subject.label,
+          code: subject.courseCode || null,
+          credit: subject.credit,
+          mark: Number.isFinite(num) ? num : raw,
+          max: subject.fullMarks || subjectMaxMap[subject.key] || null,
+          grade: grade?.grade || null,
+          point: grade?.point ?? null,
+          failed: Boolean(grade?.failed),
+        };
+      });
+
+    return {
+      name: primaryTextField ? String(row[primaryTextField] ?? '') : '',
+      id: idField ? String(row[idField] ?? '') : '',
+      metricLabel: primaryNumericField ? metricLabel(primaryNumericField) : null,
+      metricValue: primaryNumericField ? row[primaryNumericField] : null,
+      gpa: row._gpa ?? null,
+      gpaWeighted: Boolean(row._gpaWeighted),
+      credits: subjects.reduce((sum, subject) => sum + (subject.credit || 0), 0),
+      position: row._position,
+      classSize: rankedCount,
+      subjects,
+    };
+  };
+
+  const [exportingCards, setExportingCards] = useState(false);
+
+  const handleExportCards = async (targetRows) => {
+    setExportingCards(true);
+    try {
+      await exportResultCards(targetRows.map(buildResultCard), {
+        institution: 'SUST • CSE Department',
+        term: terms.length > 1 ? activeTerm?.name : null,
+        sourceName: source?.fileName,
+      });
+    } catch (e) {
+      console.error(e);
+      window.alert('Could not generate the result card PDF.');
+    } finally {
+      setExportingCards(false);
+    }
+  };
+
+  const handleExportTable = async (format) => {
+    try {
+      await exportTable(
+        {
+          rows: filteredRows,
+          classRows: rows,
+          columns,
+          subjects: subjectFields,
+          statusCodes,
+          metricField: primaryNumericField,
+          metricLabel: primaryNumericField ? metricLabel(primaryNumericField) : '',
+          meta: {
+            sourceName: source?.fileName,
+            term: terms.length > 1 ? activeTerm?.name : null,
+          },
+        },
+        format,
+      );
+    } catch (e) {
+      console.error(e);
+      window.alert('Could not export the table.');
+    }
+  };
+
+  // Compared students are tracked by ID so the selection survives re-ranking.
+  const [compareKeys, setCompareKeys] = useState([]);
+  const compareKeyOf = useCallback(
+    (row) => normalizeId(idField ? row[idField] : primaryTextField ? row[primaryTextField] : ''),
+    [idField, primaryTextField],
+  );
+
+  const compareRows = useMemo(
+    () =>
+      compareKeys
+        .map((key) => rows.find((row) => compareKeyOf(row) === key))
+        .filter(Boolean),
+    [compareKeys, rows, compareKeyOf],
+  );
+
+  // React keys for the list and search results: the student's ID, like the
+  // compare selection, so focus and highlight follow a student when results
+  // reorder. Rows without an ID, or repeating one, fall back to sheet order.
+  const rowKeys = useMemo(() => {
+    const keys = new Map();
+    const seen = new Set();
+    rows.forEach((row, index) => {
+      const id = compareKeyOf(row);
+      keys.set(row, id && !seen.has(id) ? `id:${id}` : `row:${index}`);
+      seen.add(id);
+    });
+    return keys;
+  }, [rows, compareKeyOf]);
+
+  const toggleCompare = (row) => {
+    const key = compareKeyOf(row);
+    if (!key) return;
+    setCompareKeys((current) => {
+      if (current.includes(key)) return current.filter((k) => k !== key);
+      if (current.length >= MAX_COMPARE) return current;
+      return [...current, key];
+    });
+  };
+
+  // `aria-disabled` rather than `disabled` keeps the toggle focusable in the
+  // student grid; toggleCompare ignores additions past MAX_COMPARE.
+  const renderCompareToggle = (row, focusProps) => {
+    const isCompared = compareRows.includes(row);
+    const isFull = !isCompared && compareRows.length >= MAX_COMPARE;
+    return (
+      <button
+        type="button"
+        aria-disabled={isFull}
+        aria-pressed={isCompared}
+        {...focusProps}
+        onClick={(e) => {
+          e.stopPropagation();
+          toggleCompare(row);
+        }}
+        title={isFull
+          ? `You can compare up to ${MAX_COMPARE} students`
+          : isCompared ? 'Remove from comparison' : 'Add to comparison'}
+        className={`flex-shrink-0 rounded-lg border px-1.5 py-1 text-[9px] font-bold transition-colors aria-disabled:opacity-30 ${isCompared
+          ? 'border-amber-500/40 bg-amber-500/15 text-amber-300'
+          : 'border-slate-700/50 bg-slate-800/60 text-slate-500 hover:text-amber-300'
+          }`}
+      >
+        {isCompared ? '✓ VS' : '+ VS'}
+      </button>
+    );
+  };
+
   const handleRowClick = (row) => {
     setSelectedRow(row);
     if (detailRef.current) {
@@ -472,14 +1164,80 @@ function App() {
         behavior: 'smooth',
         block: 'start',
       });
+      // Keyboard and screen-reader users continue in the profile they opened;
+      // Escape there returns to the list.
+      detailHeadingRef.current?.focus({ preventScroll: true });
     }
   };
 
+  const focusListCell = (index, column) => {
+    const row = Math.max(0, Math.min(index, filteredRows.length - 1));
+    setListFocus({ row, column });
+    listRef.current?.querySelector(`[data-row="${row}"][data-column="${column}"]`)?.focus();
+  };
+
+  // Grid keyboard model: arrows move between rows and between the student and
+  // compare cells, Home/End jump within a row (with Ctrl, to the first/last
+  // row), Page Up/Down move ten rows and Enter or Space opens the student.
+  const handleListKeyDown = (e) => {
+    const cell = e.target.closest('[data-column]');
+    if (!cell || !filteredRows.length) return;
+    const row = Number(cell.dataset.row);
+    const column = Number(cell.dataset.column);
+    const last = filteredRows.length - 1;
+    const moves = {
+      ArrowDown: [row + 1, column],
+      ArrowUp: [row - 1, column],
+      ArrowRight: [row, 1],
+      ArrowLeft: [row, 0],
+      PageDown: [row + 10, column],
+      PageUp: [row - 10, column],
+      Home: e.ctrlKey ? [0, column] : [row, 0],
+      End: e.ctrlKey ? [last, column] : [row, 1],
+    };
+
+    if ((e.key === 'Enter' || e.key === ' ') && column === 0) {
+      e.preventDefault();
+      handleRowClick(filteredRows[row]);
+    } else if (moves[e.key]) {
+      e.preventDefault();
+      focusListCell(...moves[e.key]);
+    }
+  };
+
+  const handleListFocus = (e) => {
+    const cell = e.target.closest('[data-column]');
+    if (cell) setListFocus({ row: Number(cell.dataset.row), column: Number(cell.dataset.column) });
+  };
+
+  const handleDetailKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    const index = filteredRows.indexOf(selectedRow);
+    if (index >= 0) focusListCell(index, 0);
+  };
+
   const handleSearchResultClick = (row) => {
     handleRowClick(row);
     setSearch('');
   };
 
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setSearchOpen(false);
+      return;
+    }
+    if (!dropdownResults.length) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSearchOpen(true);
+      setActiveResult((i) => (i + step + dropdownResults.length) % dropdownResults.length);
+    } else if (e.key === 'Enter' && dropdownOpen) {
+      e.preventDefault();
+      handleSearchResultClick(dropdownResults[activeResult]?.row ?? dropdownResults[0].row);
+    }
+  };
+
   return (
     <div className="min-h-screen w-full overflow-x-hidden bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-50">
       <div className="mx-auto flex min-h-screen w-full max-w-6xl flex-col px-4 py-6 sm:px-6 lg:px-8 lg:py-10">
@@ -487,12 +1245,16 @@ function App() {
         <header className="mb-8 space-y-6">
           <div className="flex flex-wrap items-end justify-between gap-6">
             <div className="space-y-3">
-              <div className="inline-flex items-center gap-2.5 rounded-full border border-emerald-500/30 bg-emerald-500/5 px-4 py-1.5 text-[11px] font-semibold tracking-wide text-emerald-300 backdrop-blur-md shadow-[0_0_20px_rgba(16,185,129,0.15)]">
-                <span className="relative flex h-2 w-2">
-                  <span className="absolute inline-flex h-full w-full animate-ping rounded-full bg-emerald-400 opacity-75"></span>
-                  <span className="relative inline-flex h-2 w-2 rounded-full bg-emerald-500"></span>
-                </span>
-                SUST • CSE DEPARTMENT
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="inline-flex items-center gap-2.5 rounded-full border border-emerald-500/30 bg-emerald-500/5 px-4 py-1.5 text-[11px] font-semibold tracking-wide text-emerald-300 backdrop-blur-md shadow-[0_0_20px_rgba(16,185,129,0.15)]">
+                  <span className="relative flex h-2 w-2">
+                    <span className="absolute inline-flex h-full w-full animate-ping rounded-full bg-emerald-400 opacity-75"></span>
+                    <span className="relative inline-flex h-2 w-2 rounded-full bg-emerald-500"></span>
+                  </span>
+                  SUST • CSE DEPARTMENT
+                </div>
+                {offline && <OfflineBadge asOf={source?.loadedAt || source?.builtAt} />}
+                <ThemeSwitcher />
               </div>
               <h1 className="text-3xl font-bold tracking-tight text-white sm:text-4xl lg:text-5xl">
                 Result <span className="text-transparent bg-clip-text bg-gradient-to-r from-emerald-400 to-sky-400">Portal</span>
@@ -504,9 +1266,32 @@ function App() {
             </div>
 
             <div className="flex flex-wrap gap-4">
+              {terms.length > 1 && (
+                <div className="glass-panel px-4 py-3 !rounded-2xl flex flex-col items-center justify-center gap-1.5">
+                  <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Term</span>
+                  <div className="scrollbar-soft flex max-w-xs gap-1 overflow-x-auto rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+                    {terms.map((term) => (
+                      <button
+                        key={term.name}
+                        type="button"
+                        onClick={() => setActiveTermName(term.name)}
+                        aria-pressed={activeTerm?.name === term.name}
+                        className={`whitespace-nowrap px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${activeTerm?.name === term.name ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+                      >
+                        {term.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
               <div className="glass-panel px-4 py-3 !rounded-2xl flex flex-col items-center justify-center">
                 <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Total Students</span>
-                <span className="text-2xl font-black text-white">{summary.totalStudents || 0}</span>
+                <span className="text-2xl font-black text-white">
+                  {summary.totalStudents || 0}
+                  {classRows.length !== rows.length && (
+                    <span className="text-sm font-bold text-slate-500"> / {rows.length}</span>
+                  )}
+                </span>
               </div>
               {summary.avgScore && (
                 <div className="glass-panel px-4 py-3 !rounded-2xl flex flex-col items-center justify-center bg-emerald-500/5 border-emerald-500/20">
@@ -516,6 +1301,78 @@ function App() {
               )}
             </div>
           </div>
+
+          <DatasetLoader
+            source={source}
+            disabled={loading}
+            onFile={loadFile}
+            onReset={resetToDefault}
+          />
+
+          {columns.length > 0 && (
+            <ColumnMappingPanel
+              rows={rawRows}
+              columns={columns}
+              detectedRoles={detectedRoles}
+              roles={columnRoles}
+              overrides={mappingOverrides}
+              onChange={handleColumnRoleChange}
+              onReset={handleColumnMappingReset}
+            />
+          )}
+
+          {detectedSubjectFields.length > 0 && (
+            <CourseCatalogPanel
+              catalog={courseCatalog}
+              subjectKeys={detectedSubjectFields.map((subject) => subject.key)}
+              onChange={handleCourseCatalogChange}
+            />
+          )}
+
+          {dataIssues.length > 0 && dismissedIssues !== issuesSignature && (
+            <DataIssuesPanel
+              issues={dataIssues}
+              fileName={source?.fileName}
+              term={terms.length > 1 ? activeTerm?.name : null}
+              onDismiss={() => setDismissedIssues(issuesSignature)}
+            />
+          )}
+
+          {gradedSubjects.length > 0 && (
+            <GradingScalePanel
+              scale={gradingScale}
+              mismatchCount={gpaMismatchCount}
+              unverifiableCount={gpaUnverifiableCount}
+              sheetField={sheetGpaField ? metricLabel(sheetGpaField) : null}
+              onChange={handleGradingScaleChange}
+              onReset={handleGradingScaleReset}
+            />
+          )}
+
+          {numericColumnKeys.length > 0 && (
+            <StatusCodesPanel
+              codes={statusCodes}
+              rows={rawRows}
+              columns={numericColumnKeys}
+              onChange={handleStatusCodesChange}
+              onReset={handleStatusCodesReset}
+            />
+          )}
+
+          {rankingField && (
+            <RankingPanel
+              settings={rankingSettings}
+              metricOptions={metricOptions}
+              rankingLabel={metricLabel(rankingField)}
+              subjects={subjectFields}
+              hasGrades={gradedSubjects.length > 0}
+              hasCredits={hasCredits}
+              hasId={Boolean(idField)}
+              unrankedCount={unrankedCount}
+              onChange={handleRankingChange}
+              onReset={handleRankingReset}
+            />
+          )}
         </header>
 
         {/* Main content */}
@@ -547,10 +1404,21 @@ function App() {
                     </svg>
                     <input
                       type="text"
-                      placeholder="Search by name or Registration no..."
+                      role="combobox"
+                      aria-autocomplete="list"
+                      aria-expanded={dropdownOpen}
+                      aria-controls="search-results"
+                      aria-activedescendant={dropdownOpen ? `search-result-${activeResult}` : undefined}
+                      placeholder="Search by name or Registration no. (reg:, name: to scope)"
                       className="w-full bg-transparent text-sm text-slate-50 placeholder:text-slate-500 focus:outline-none"
                       value={search}
-                      onChange={(e) => setSearch(e.target.value)}
+                      onChange={(e) => {
+                        setSearch(e.target.value);
+                        setSearchOpen(true);
+                        setActiveResult(0);
+                      }}
+                      onFocus={() => setSearchOpen(true)}
+                      onKeyDown={handleSearchKeyDown}
                     />
                     {search && (
                       <button
@@ -563,34 +1431,50 @@ function App() {
                     )}
                   </div>
 
-                  {search.trim() && filteredRows.length > 0 && (
-                    <div className="absolute top-full left-0 right-0 z-50 mt-1.5 max-h-52 overflow-y-auto rounded-2xl border border-slate-700/80 bg-slate-950/95 p-1.5 text-xs text-slate-200 shadow-[0_24px_50px_rgba(2,6,23,0.95)] backdrop-blur-xl scrollbar-soft">
-                      {filteredRows.slice(0, 8).map((row, idx) => (
-                        <button
-                          key={idx}
-                          type="button"
-                          onClick={() => handleSearchResultClick(row)}
-                          className="flex w-full items-center gap-3 rounded-xl px-3 py-2 text-left hover:bg-slate-800/80 transition-colors"
-                        >
-                          <div className="flex h-7 w-7 flex-shrink-0 items-center justify-center rounded-lg bg-slate-800 border border-slate-700/50">
-                            <span className="text-[9px] font-bold text-sky-400">
-                              {row._position ? `#${row._position}` : '—'}
-                            </span>
-                          </div>
-                          <div className="flex flex-1 flex-col min-w-0">
-                            <span className="truncate text-[11px] font-semibold text-slate-100">
-                              {primaryTextField ? row[primaryTextField] || 'Unknown' : 'Result'}
-                            </span>
-                            <span className="text-[10px] text-slate-500 font-mono">
-                              {idField ? row[idField] : ''}
-                            </span>
-                          </div>
-                          {primaryNumericField && row[primaryNumericField] != null && (
-                            <span className="flex-shrink-0 text-[11px] font-black text-emerald-400">
-                              {row[primaryNumericField]}
-                            </span>
-                          )}
-                        </button>
+                  {dropdownOpen && (
+                    <div
+                      ref={searchListRef}
+                      id="search-results"
+                      role="listbox"
+                      className="absolute top-full left-0 right-0 z-50 mt-1.5 max-h-52 overflow-y-auto rounded-2xl border border-slate-700/80 bg-slate-950/95 p-1.5 text-xs text-slate-200 shadow-[0_24px_50px_rgba(2,6,23,0.95)] backdrop-blur-xl scrollbar-soft"
+                    >
+                      {dropdownResults.map(({ row, highlights }, idx) => (
+                        <div key={rowKeys.get(row) ?? idx} className="flex items-center gap-1">
+                          <button
+                            type="button"
+                            id={`search-result-${idx}`}
+                            role="option"
+                            aria-selected={idx === activeResult}
+                            tabIndex={-1}
+                            onClick={() => handleSearchResultClick(row)}
+                            onMouseEnter={() => setActiveResult(idx)}
+                            className={`flex min-w-0 flex-1 items-center gap-3 rounded-xl px-3 py-2 text-left transition-colors ${idx === activeResult ? 'bg-slate-800/80' : 'hover:bg-slate-800/80'}`}
+                          >
+                            <div className="flex h-7 w-7 flex-shrink-0 items-center justify-center rounded-lg bg-slate-800 border border-slate-700/50">
+                              <span className="text-[9px] font-bold text-sky-400">
+                                {row._position ? `#${row._position}` : '—'}
+                              </span>
+                            </div>
+                            <div className="flex flex-1 flex-col min-w-0">
+                              <span className="truncate text-[11px] font-semibold text-slate-100">
+                                {primaryTextField
+                                  ? row[primaryTextField]
+                                    ? <HighlightedText text={row[primaryTextField]} ranges={highlights[primaryTextField]} />
+                                    : 'Unknown'
+                                  : 'Result'}
+                              </span>
+                              <span className="text-[10px] text-slate-500 font-mono">
+                                {idField ? <HighlightedText text={row[idField]} ranges={highlights[idField]} /> : ''}
+                              </span>
+                            </div>
+                            {primaryNumericField && row[primaryNumericField] != null && (
+                              <span className="flex-shrink-0 text-[11px] font-black text-emerald-400">
+                                {row[primaryNumericField]}
+                              </span>
+                            )}
+                          </button>
+                          {renderCompareToggle(row)}
+                        </div>
                       ))}
                     </div>
                   )}
@@ -604,26 +1488,67 @@ function App() {
               </div>
             </div>
 
-            <div ref={detailRef} className="glass-panel p-4 sm:p-5 relative overflow-hidden">
+            {rows.length > 0 && (
+              <FilterBuilderPanel
+                filter={rowFilter}
+                fields={metricOptions}
+                hasId={Boolean(idField)}
+                hasGrades={gradedSubjects.length > 0}
+                matchCount={classRows.length}
+                totalCount={rows.length}
+                presets={filterPresets}
+                onChange={setRowFilter}
+                onSavePreset={handleSaveFilterPreset}
+                onDeletePreset={handleDeleteFilterPreset}
+              />
+            )}
+
+            <div
+              ref={detailRef}
+              onKeyDown={handleDetailKeyDown}
+              className="glass-panel p-4 sm:p-5 relative overflow-hidden"
+            >
               <div className="pointer-events-none absolute top-0 right-0 w-64 h-64 bg-emerald-500/5 rounded-full -translate-y-1/2 translate-x-1/2 blur-3xl"></div>
               <div className="flex flex-wrap items-center justify-between gap-4 relative">
                 <div>
-                  <h2 className="text-lg font-bold text-white flex items-center gap-2">
-                    <svg className="w-5 h-5 text-sky-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <h2
+                    ref={detailHeadingRef}
+                    tabIndex={-1}
+                    className="text-lg font-bold text-white flex items-center gap-2 focus:outline-none"
+                  >
+                    <svg className="w-5 h-5 text-sky-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
                     </svg>
                     Student Academic Profile
+                    {selectedRow && <span className="sr-only">: {selectedName}</span>}
                   </h2>
                   <p className="text-[11px] text-slate-400 mt-0.5">
                     Comprehensive breakdown of individual results and subject performance.
                   </p>
                 </div>
                 {selectedRow && (
-                  <div className="pill">
-                    <span className="pill-dot" />
-                    <span className="text-[10px] uppercase tracking-[0.16em] text-slate-200">
-                      Selected
-                    </span>
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={handleCopyLink}
+                      className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+                    >
+                      {linkCopied ? 'Link copied' : 'Copy link'}
+                    </button>
+                    <button
+                      type="button"
+                      disabled={exportingCards}
+                      onClick={() => handleExportCards([selectedRow])}
+                      className="rounded-full bg-sky-500/10 px-3 py-1 text-[10px] font-bold text-sky-300 ring-1 ring-sky-400/40 transition hover:bg-sky-500/20 disabled:opacity-50"
+                    >
+                      {exportingCards ? 'Preparing…' : 'Export result card'}
+                    </button>
+                    <div className="pill">
+                      <span className="pill-dot" />
+                      <span className="text-[10px] uppercase tracking-[0.16em] text-slate-200">
+                        Selected
+                      </span>
+                    </div>
                   </div>
                 )}
               </div>
@@ -656,7 +1581,65 @@ function App() {
                         <div className="flex flex-col items-center justify-center px-5 py-2 rounded-2xl bg-emerald-500/10 border border-emerald-500/20 shadow-[0_0_20px_rgba(16,185,129,0.08)]">
                           <span className="text-[10px] font-black uppercase tracking-[0.2em] text-emerald-400 mb-0.5">{metricLabel(primaryNumericField)}</span>
                           <span className="text-2xl font-black text-white leading-none">
-                            {selectedRow[primaryNumericField] ?? '—'}
+                            {isBlank(selectedRow[primaryNumericField]) ? '—' : selectedRow[primaryNumericField]}
+                          </span>
+                          {standingFor(selectedRow, primaryNumericField) && (
+                            <span
+                              className="mt-1 text-[10px] font-medium text-emerald-300/80"
+                              title="Percentile in the class and standard deviations from the class mean"
+                            >
+                              {formatStanding(standingFor(selectedRow, primaryNumericField))}
+                            </span>
+                          )}
+                        </div>
+                      )}
+                      {selectedRow._gpa != null && (
+                        <div
+                          className={`flex flex-col items-center justify-center px-5 py-2 rounded-2xl border ${selectedRow._gpaMismatch
+                            ? 'bg-amber-500/10 border-amber-500/30'
+                            : 'bg-slate-800/60 border-slate-700/40'
+                            }`}
+                          title={selectedRow._gpaMismatch
+                            ? `Sheet ${metricLabel(sheetGpaField)} ${selectedRow[sheetGpaField]} differs from the computed GPA`
+                            : selectedRow._gpaWeighted
+                              ? 'GPA computed from subject grades and credits'
+                              : 'Unweighted average of grade points; no subject has credits'}
+                        >
+                          <span className={`text-[10px] font-black uppercase tracking-[0.2em] mb-0.5 ${selectedRow._gpaMismatch ? 'text-amber-400' : 'text-slate-400'}`}>
+                            {selectedRow._gpaMismatch ? 'COMPUTED ⚠' : 'COMPUTED'}
+                          </span>
+                          <span className="text-2xl font-black text-white leading-none">
+                            {selectedRow._gpa.toFixed(2)}
+                          </span>
+                          {sheetGpaField && !selectedRow._gpaWeighted && (
+                            <span className="mt-1 text-[10px] font-medium text-slate-500">
+                              unverifiable (credits unknown)
+                            </span>
+                          )}
+                        </div>
+                      )}
+                      {selectedRow._withheld && (
+                        <div
+                          className="flex flex-col items-center justify-center px-5 py-2 rounded-2xl border bg-violet-500/10 border-violet-500/30"
+                          title="A status code with the withhold policy blocks the GPA and class rank"
+                        >
+                          <span className="text-[10px] font-black uppercase tracking-[0.2em] mb-0.5 text-violet-300">RESULT</span>
+                          <span className="text-lg font-black text-white leading-none">Withheld</span>
+                        </div>
+                      )}
+                      {creditField && !isBlank(selectedRow[creditField]) && (
+                        <div className="flex flex-col items-center justify-center px-5 py-2 rounded-2xl bg-slate-800/60 border border-slate-700/40">
+                          <span className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-0.5">CREDITS</span>
+                          <span className="text-2xl font-black text-white leading-none">
+                            {selectedRow[creditField]}
+                          </span>
+                        </div>
+                      )}
+                      {selectedRow._position == null && !selectedRow._withheld && rankingExclusion(selectedRow, rankingSettings) && (
+                        <div className="flex flex-col items-center justify-center px-5 py-2 rounded-2xl bg-slate-800/60 border border-slate-700/40">
+                          <span className="text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-0.5">NOT RANKED</span>
+                          <span className="text-xs font-bold text-slate-200 leading-tight">
+                            {rankingExclusion(selectedRow, rankingSettings)}
                           </span>
                         </div>
                       )}
@@ -672,6 +1655,129 @@ function App() {
                     </div>
                   </div>
 
+                  {termHistory.length > 0 && (
+                    <div className="rounded-2xl bg-slate-900/80 p-3 text-xs text-slate-200">
+                      <div className="mb-2 flex items-center justify-between gap-2">
+                        <span className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-400">
+                          Semester history
+                        </span>
+                        <span className="text-[10px] text-slate-400">
+                          {termHistory.filter((t) => t.found).length} of {termHistory.length} terms
+                        </span>
+                      </div>
+                      <div className="grid gap-2 sm:grid-cols-2">
+                        {termHistory.map((term) => (
+                          <button
+                            key={term.name}
+                            type="button"
+                            disabled={!term.found}
+                            onClick={() => setActiveTermName(term.name)}
+                            className={`flex items-center justify-between gap-2 rounded-xl px-3 py-2.5 text-left transition-colors disabled:cursor-default disabled:opacity-50 ${term.isActive
+                              ? 'bg-emerald-500/10 ring-1 ring-emerald-500/40'
+                              : 'bg-slate-950/80 hover:bg-slate-800/80'
+                              }`}
+                          >
+                            <div className="flex flex-col">
+                              <span className="text-[11px] font-medium text-slate-200">
+                                {term.name}
+                              </span>
+                              <span className="text-[10px] text-slate-400">
+                                {term.found
+                                  ? term.position != null
+                                    ? `Rank #${term.position} of ${term.classSize}`
+                                    : 'Unranked'
+                                  : 'No record'}
+                              </span>
+                            </div>
+                            {term.found && term.metricField && (
+                              <div className="flex flex-col items-end">
+                                <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">
+                                  {metricLabel(term.metricField)}
+                                </span>
+                                <span className="text-sm font-semibold text-emerald-400">
+                                  {term.value === '' || term.value == null ? '—' : term.value}
+                                </span>
+                              </div>
+                            )}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {studentTrend.length > 0 && (
+                    <div className="rounded-2xl bg-slate-900/80 p-3 text-xs text-slate-200">
+                      <div className="mb-2 flex items-center justify-between gap-2">
+                        <span className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-400">
+                          Trend across imports
+                        </span>
+                        <span className="text-[10px] text-slate-400">
+                          <span className="text-emerald-400">{trendMetricLabel}</span>
+                          {' · '}
+                          <span className="text-sky-400">Rank</span>
+                        </span>
+                      </div>
+                      <ChartFigure label={`${selectedName}: ${trendMetricLabel} and rank across imports`}>
+                        <ResponsiveContainer width="100%" height={180}>
+                          <LineChart data={studentTrend} accessibilityLayer={false}>
+                            <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} vertical={false} />
+                            <XAxis dataKey="label" {...axisProps} />
+                            <YAxis yAxisId="value" {...axisProps} domain={['auto', 'auto']} />
+                            {/* Rank 1 at the top. */}
+                            <YAxis
+                              yAxisId="rank"
+                              orientation="right"
+                              reversed
+                              allowDecimals={false}
+                              {...axisProps}
+                              domain={[1, 'auto']}
+                            />
+                            <Tooltip
+                              {...tooltipProps}
+                              formatter={(value, name, item) =>
+                                name === 'Rank'
+                                  ? [`#${value} of ${item.payload.classSize}`, name]
+                                  : [value, name]
+                              }
+                            />
+                            <Line
+                              yAxisId="value"
+                              type="monotone"
+                              dataKey="value"
+                              name={trendMetricLabel}
+                              stroke={chart.primary}
+                              strokeWidth={2}
+                              dot={{ r: 3 }}
+                              connectNulls
+                              isAnimationActive={false}
+                            />
+                            <Line
+                              yAxisId="rank"
+                              type="monotone"
+                              dataKey="position"
+                              name="Rank"
+                              stroke={chart.secondary}
+                              strokeWidth={2}
+                              strokeDasharray="4 3"
+                              dot={{ r: 3 }}
+                              connectNulls
+                              isAnimationActive={false}
+                            />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </ChartFigure>
+                      <ChartDataTable
+                        caption={`${trendMetricLabel} and rank across imports`}
+                        columns={[
+                          { key: 'label', label: 'Import' },
+                          { key: 'value', label: trendMetricLabel },
+                          { key: 'position', label: 'Rank', format: (value, point) => value && `#${value} of ${point.classSize}` },
+                        ]}
+                        rows={studentTrend}
+                      />
+                    </div>
+                  )}
+
                   {subjectFields.length > 0 && (
                     <div className="rounded-2xl bg-slate-900/80 p-3 text-xs text-slate-200">
                       <div className="mb-2 flex items-center justify-between gap-2">
@@ -679,6 +1785,12 @@ function App() {
                           Subject-wise performance
                         </span>
                         <span className="text-[10px] text-slate-400">
+                          {selectedRevision?.marks.length > 0 && (
+                            <span className="text-amber-300">
+                              {selectedRevision.marks.length} changed
+                              {' · '}
+                            </span>
+                          )}
                           {subjectFields.length} subject
                           {subjectFields.length === 1 ? '' : 's'}
                         </span>
@@ -692,6 +1804,10 @@ function App() {
                           const isNumeric = Number.isFinite(num);
                           const mark = isNumeric ? num : raw;
                           const maxForSubject = subjectMaxMap[subject.key];
+                          const grade = selectedRow._grades?.[subject.key];
+                          const status = matchStatusCode(statusCodes, raw);
+                          const standing = isNumeric ? standingFor(selectedRow, subject.key) : null;
+                          const revision = selectedRevision?.marks.find((m) => m.key === subject.key);
                           const normalized =
                             isNumeric && maxForSubject
                               ? Math.max(0, Math.min(1, num / maxForSubject))
@@ -700,35 +1816,78 @@ function App() {
                           return (
                             <div
                               key={subject.key}
-                              className="rounded-xl bg-slate-950/80 px-3 py-2.5"
+                              className={`rounded-xl bg-slate-950/80 px-3 py-2.5 ${revision ? 'ring-1 ring-amber-400/60' : ''}`}
+                              title={revision ? `Was ${revision.before === '' ? 'blank' : revision.before} in ${activeBaseline.label}` : undefined}
                             >
                               <div className="flex items-center justify-between gap-2">
                                 <div className="flex flex-col">
                                   <span className="text-[11px] font-medium text-slate-200">
                                     {subject.label}
                                   </span>
-                                  {subject.credit != null && (
+                                  {(subject.courseCode || subject.credit != null) && (
                                     <span className="text-[10px] text-slate-400">
-                                      {subject.credit} credit
-                                      {subject.credit === 1 ? '' : 's'}
+                                      {subject.courseCode && (
+                                        <span className="font-mono">{subject.courseCode}</span>
+                                      )}
+                                      {subject.courseCode && subject.credit != null && ' · '}
+                                      {subject.credit != null && (
+                                        <>
+                                          {subject.credit} credit
+                                          {subject.credit === 1 ? '' : 's'}
+                                        </>
+                                      )}
                                     </span>
                                   )}
                                 </div>
-                                <span className="text-sm font-semibold text-emerald-400">
-                                  {mark}
-                                </span>
+                                <div className="flex items-center gap-2">
+                                  {status ? (
+                                    <StatusBadge status={status} className="text-[11px]" />
+                                  ) : (
+                                    <>
+                                      {grade && (
+                                        <span
+                                          className={`rounded-md px-1.5 py-0.5 text-[10px] font-bold ${grade.failed
+                                            ? 'bg-rose-500/15 text-rose-300'
+                                            : 'bg-sky-500/10 text-sky-300'
+                                            }`}
+                                          title={`${grade.point.toFixed(2)} grade points`}
+                                        >
+                                          {grade.grade}
+                                        </span>
+                                      )}
+                                      {revision && (
+                                        <span className="text-[10px] text-amber-300 line-through">
+                                          {revision.before === '' ? '—' : revision.before}
+                                        </span>
+                                      )}
+                                      <span className="text-sm font-semibold text-emerald-400">
+                                        {mark}
+                                      </span>
+                                    </>
+                                  )}
+                                </div>
                               </div>
                               {isNumeric && (
-                                <div className="mt-2 h-1.5 w-full overflow-hidden rounded-full bg-slate-800">
-                                  <div
-                                    className="h-full rounded-full bg-gradient-to-r from-emerald-400 via-sky-400 to-blue-500"
-                                    style={{
-                                      width: `${Math.max(
-                                        6,
-                                        normalized * 100,
-                                      )}%`,
-                                    }}
-                                  />
+                                <div className="mt-2 flex items-center gap-2">
+                                  <div className="h-1.5 flex-1 overflow-hidden rounded-full bg-slate-800">
+                                    <div
+                                      className="h-full rounded-full bg-gradient-to-r from-emerald-400 via-sky-400 to-blue-500"
+                                      style={{
+                                        width: `${Math.max(
+                                          6,
+                                          normalized * 100,
+                                        )}%`,
+                                      }}
+                                    />
+                                  </div>
+                                  {standing && (
+                                    <span
+                                      className="flex-shrink-0 text-[10px] font-medium text-slate-400"
+                                      title="Percentile in the class and standard deviations from the subject mean"
+                                    >
+                                      {formatStanding(standing)}
+                                    </span>
+                                  )}
                                 </div>
                               )}
                             </div>
@@ -742,7 +1901,7 @@ function App() {
             </div>
 
             <div className="glass-panel flex h-[440px] flex-col overflow-hidden">
-              <div className="flex items-center justify-between border-b border-white/5 px-4 py-3 bg-white/5">
+              <div className="flex flex-wrap items-center justify-between gap-2 border-b border-white/5 px-4 py-3 bg-white/5">
                 <div className="flex items-center gap-2.5">
                   <div className="p-1.5 rounded-lg bg-emerald-500/10 border border-emerald-500/20">
                     <svg className="w-3.5 h-3.5 text-emerald-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -754,19 +1913,50 @@ function App() {
                     {filteredRows.length}
                   </span>
                 </div>
-                <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
-                  <button
-                    onClick={() => setSortMode('rank')}
-                    className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${sortMode === 'rank' ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
-                  >
-                    RANK
-                  </button>
+                <div className="flex flex-wrap items-center justify-end gap-2">
+                  <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+                    {['xlsx', 'csv'].map((format) => (
+                      <button
+                        key={format}
+                        type="button"
+                        disabled={!filteredRows.length}
+                        onClick={() => handleExportTable(format)}
+                        title={format === 'xlsx'
+                          ? 'Export this list with computed columns and a class summary sheet'
+                          : 'Export this list with computed columns'}
+                        className="px-2 py-0.5 rounded-md text-[10px] font-bold text-slate-500 transition-all hover:text-sky-300 disabled:opacity-50"
+                      >
+                        {format.toUpperCase()}
+                      </button>
+                    ))}
+                  </div>
                   <button
-                    onClick={() => setSortMode('id')}
-                    className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${sortMode === 'id' ? 'bg-sky-500/20 text-sky-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+                    type="button"
+                    disabled={exportingCards || !filteredRows.length}
+                    onClick={() => handleExportCards(filteredRows)}
+                    title="One PDF page per student in the current list"
+                    className="rounded-lg bg-slate-800/50 px-2 py-1 text-[10px] font-bold text-slate-400 border border-white/5 transition-colors hover:text-sky-300 disabled:opacity-50"
                   >
-                    REG NO
+                    CARDS PDF
                   </button>
+                  <div role="group" aria-label="Sort order" className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+                    <button
+                      type="button"
+                      aria-pressed={sortMode === 'rank'}
+                      onClick={() => setSortMode('rank')}
+                      className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${sortMode === 'rank' ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+                    >
+                      RANK
+                    </button>
+                    <button
+                      type="button"
+                      aria-pressed={sortMode === 'id'}
+                      onClick={() => setSortMode('id')}
+                      className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${sortMode === 'id' ? 'bg-sky-500/20 text-sky-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+                    >
+                      REG NO
+                    </button>
+                  </div>
                 </div>
               </div>
 
@@ -784,62 +1974,113 @@ function App() {
                   </div>
                 ) : !rows.length ? (
                   <div className="flex h-full items-center justify-center py-10 text-sm text-slate-400">
-                    No rows found in <span className="ml-1 font-mono text-slate-200">result.xlsx</span>.
+                    No rows found in <span className="ml-1 font-mono text-slate-200">{source?.fileName || 'result.xlsx'}</span>.
                   </div>
                 ) : (
-                  <div className="flex flex-col gap-2">
+                  <div
+                    ref={listRef}
+                    role="grid"
+                    aria-label="Student list"
+                    onKeyDown={handleListKeyDown}
+                    onFocus={handleListFocus}
+                    className="flex flex-col gap-2"
+                  >
                     {filteredRows.map((row, idx) => {
                       const isActive = selectedRow === row;
+                      const topTier = topPercentTier(row._position, rankedCount);
+                      const highlights = searchHighlights.get(row);
+                      const tabStop = (column) =>
+                        idx === Math.min(listFocus.row, filteredRows.length - 1) && column === listFocus.column ? 0 : -1;
                       return (
                         <div
-                          key={idx}
+                          key={rowKeys.get(row) ?? idx}
+                          role="row"
+                          aria-selected={isActive}
                           onClick={() => handleRowClick(row)}
                           className={`cursor-pointer rounded-2xl border p-3 transition-all duration-150 ${isActive
                             ? 'border-emerald-500/40 bg-emerald-500/10 shadow-[0_0_16px_rgba(16,185,129,0.12)]'
                             : 'border-slate-700/40 bg-slate-900/50 hover:border-slate-600/60 hover:bg-slate-800/60'
                             }`}
                         >
-                          <div className="flex items-center gap-3">
-                            {/* Rank badge */}
-                            <div className={`flex h-10 w-10 flex-shrink-0 flex-col items-center justify-center rounded-xl border ${isActive
-                              ? 'border-sky-500/40 bg-sky-500/10'
-                              : 'border-slate-700/50 bg-slate-800/80'
-                              }`}>
-                              <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">Rank</span>
-                              <span className="text-xs font-black text-sky-400 leading-none">
-                                {row._position ? `#${row._position}` : '—'}
-                              </span>
-                            </div>
+                          <div role="none" className="flex items-center gap-3">
+                            <div
+                              role="gridcell"
+                              tabIndex={tabStop(0)}
+                              data-row={idx}
+                              data-column={0}
+                              className="flex min-w-0 flex-1 items-center gap-3 rounded-xl focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400/70"
+                            >
+                              {/* Rank badge */}
+                              <div className={`flex h-10 w-10 flex-shrink-0 flex-col items-center justify-center rounded-xl border ${isActive
+                                ? 'border-sky-500/40 bg-sky-500/10'
+                                : 'border-slate-700/50 bg-slate-800/80'
+                                }`}>
+                                <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">Rank</span>
+                                <span className="text-xs font-black text-sky-400 leading-none">
+                                  {row._position ? `#${row._position}` : '—'}
+                                </span>
+                              </div>
 
-                            {/* Name + Reg */}
-                            <div className="flex-1 min-w-0">
-                              {primaryTextField && (
-                                <div className="truncate text-sm font-semibold text-slate-100" title={String(row[primaryTextField] ?? '')}>
-                                  {row[primaryTextField] || '—'}
-                                </div>
-                              )}
-                              {idField && (
-                                <div className="mt-0.5 text-[10px] font-mono text-slate-500">
-                                  {row[idField] || '—'}
+                              {/* Name + Reg */}
+                              <div className="flex-1 min-w-0">
+                                {primaryTextField && (
+                                  <div className="flex items-center gap-2">
+                                    <span className="truncate text-sm font-semibold text-slate-100" title={String(row[primaryTextField] ?? '')}>
+                                      {row[primaryTextField]
+                                        ? <HighlightedText text={row[primaryTextField]} ranges={highlights?.[primaryTextField]} />
+                                        : '—'}
+                                    </span>
+                                    {topTier && (
+                                      <span
+                                        className="flex-shrink-0 rounded-md bg-emerald-500/10 px-1.5 py-0.5 text-[9px] font-bold text-emerald-300 ring-1 ring-emerald-400/30"
+                                        title={`Position ${row._position} of ${rankedCount} ranked students`}
+                                      >
+                                        Top {topTier}%
+                                      </span>
+                                    )}
+                                  </div>
+                                )}
+                                {idField && (
+                                  <div className="mt-0.5 text-[10px] font-mono text-slate-500">
+                                    {row[idField]
+                                      ? <HighlightedText text={row[idField]} ranges={highlights?.[idField]} />
+                                      : '—'}
+                                    {row._gpaMismatch && (
+                                      <span
+                                        className="ml-2 font-sans font-bold text-amber-400"
+                                        title={`Computed GPA ${row._gpa?.toFixed(2)} differs from the sheet`}
+                                      >
+                                        ⚠ GPA mismatch
+                                      </span>
+                                    )}
+                                  </div>
+                                )}
+                              </div>
+
+                              {/* CGPA badge */}
+                              {primaryNumericField && row[primaryNumericField] != null && (
+                                <div className={`flex flex-shrink-0 flex-col items-center justify-center rounded-xl border px-3 py-1.5 ${isActive
+                                  ? 'border-emerald-500/40 bg-emerald-500/15'
+                                  : 'border-slate-700/40 bg-slate-800/60'
+                                  }`}>
+                                  <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">
+                                    {metricLabel(primaryNumericField)}
+                                  </span>
+                                  <span className={`text-sm font-black leading-none ${isActive ? 'text-emerald-300' : 'text-emerald-400'
+                                    }`}>
+                                    {row[primaryNumericField]}
+                                  </span>
                                 </div>
                               )}
                             </div>
 
-                            {/* CGPA badge */}
-                            {primaryNumericField && row[primaryNumericField] != null && (
-                              <div className={`flex flex-shrink-0 flex-col items-center justify-center rounded-xl border px-3 py-1.5 ${isActive
-                                ? 'border-emerald-500/40 bg-emerald-500/15'
-                                : 'border-slate-700/40 bg-slate-800/60'
-                                }`}>
-                                <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">
-                                  {metricLabel(primaryNumericField)}
-                                </span>
-                                <span className={`text-sm font-black leading-none ${isActive ? 'text-emerald-300' : 'text-emerald-400'
-                                  }`}>
-                                  {row[primaryNumericField]}
-                                </span>
-                              </div>
-                            )}
+                            <div role="gridcell" className="flex-shrink-0">
+                              {renderCompareToggle(row, {
+                                tabIndex: tabStop(1),
+                                'data-row': idx,
+                                'data-column': 1,
+                              })}
+                            </div>
                           </div>
                         </div>
                       );
@@ -852,6 +2093,32 @@ function App() {
 
           {/* Right: analytics & chart */}
           <section className="space-y-4">
+            {compareRows.length > 0 && (
+              <ComparePanel
+                students={compareRows}
+                subjects={subjectFields}
+                primaryTextField={primaryTextField}
+                idField={idField}
+                metricField={primaryNumericField}
+                metricLabel={primaryNumericField ? metricLabel(primaryNumericField) : ''}
+                onRemove={toggleCompare}
+                onClear={() => setCompareKeys([])}
+              />
+            )}
+
+            {revisionBaselines.length > 0 && idField && (
+              <RevisionPanel
+                baselines={revisionBaselines}
+                baselineKey={activeBaseline?.key || null}
+                diff={revisionDiff}
+                primaryTextField={primaryTextField}
+                idField={idField}
+                metricLabel={primaryNumericField ? metricLabel(primaryNumericField) : ''}
+                onBaselineChange={setRevisionBaseline}
+                onSelect={selectRowById}
+              />
+            )}
+
             <div className="glass-panel flex min-h-[220px] flex-col p-4 sm:p-5 relative overflow-hidden">
               <div className="flex flex-wrap items-center justify-between gap-4 relative">
                 <div>
@@ -880,60 +2147,52 @@ function App() {
                     Select a student from the list to see their subject-wise chart.
                   </div>
                 ) : (
-                  <ResponsiveContainer width="100%" height={220}>
-                    <BarChart data={studentOverviewData}>
-                      <CartesianGrid
-                        strokeDasharray="3 3"
-                        stroke="#1f2937"
-                        vertical={false}
-                      />
-                      <XAxis
-                        dataKey="subject"
-                        stroke="#9ca3af"
-                        tick={{ fontSize: 10 }}
-                        tickLine={false}
-                        axisLine={{ stroke: '#374151' }}
-                      />
-                      <YAxis
-                        stroke="#9ca3af"
-                        tick={{ fontSize: 10 }}
-                        tickLine={false}
-                        axisLine={{ stroke: '#374151' }}
-                      />
-                      <Tooltip
-                        contentStyle={{
-                          backgroundColor: '#020617',
-                          borderRadius: 12,
-                          border: '1px solid rgba(30,64,175,0.75)',
-                          fontSize: 11,
-                        }}
-                        labelStyle={{ color: '#e5e7eb', marginBottom: 4 }}
-                        cursor={{ fill: 'rgba(37,99,235,0.08)' }}
-                      />
-                      <Bar
-                        dataKey="score"
-                        name="Score"
-                        radius={[6, 6, 2, 2]}
-                        fill="url(#studentOverviewGradient)"
-                        isAnimationActive
-                        animationDuration={800}
-                        animationEasing="ease-out"
-                      />
-                      <defs>
-                        <linearGradient
-                          id="studentOverviewGradient"
-                          x1="0"
-                          y1="0"
-                          x2="0"
-                          y2="1"
-                        >
-                          <stop offset="0%" stopColor="#38bdf8" stopOpacity="0.95" />
-                          <stop offset="60%" stopColor="#22c55e" stopOpacity="0.9" />
-                          <stop offset="100%" stopColor="#a855f7" stopOpacity="0.85" />
-                        </linearGradient>
-                      </defs>
-                    </BarChart>
-                  </ResponsiveContainer>
+                  <>
+                    <ChartFigure label={`Subject scores for ${selectedName}`}>
+                      <ResponsiveContainer width="100%" height={220}>
+                        <BarChart data={studentOverviewData} accessibilityLayer={false}>
+                          <CartesianGrid
+                            strokeDasharray="3 3"
+                            stroke={chart.grid}
+                            vertical={false}
+                          />
+                          <XAxis dataKey="subject" {...axisProps} />
+                          <YAxis {...axisProps} />
+                          <Tooltip {...tooltipProps} />
+                          <Bar
+                            dataKey="score"
+                            name="Score"
+                            radius={[6, 6, 2, 2]}
+                            fill="url(#studentOverviewGradient)"
+                            isAnimationActive
+                            animationDuration={800}
+                            animationEasing="ease-out"
+                          />
+                          <defs>
+                            <linearGradient
+                              id="studentOverviewGradient"
+                              x1="0"
+                              y1="0"
+                              x2="0"
+                              y2="1"
+                            >
+                              <stop offset="0%" stopColor={chart.studentGradient[0]} stopOpacity="0.95" />
+                              <stop offset="60%" stopColor={chart.studentGradient[1]} stopOpacity="0.9" />
+                              <stop offset="100%" stopColor={chart.studentGradient[2]} stopOpacity="0.85" />
+                            </linearGradient>
+                          </defs>
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </ChartFigure>
+                    <ChartDataTable
+                      caption={`Subject scores for ${selectedName}`}
+                      columns={[
+                        { key: 'subject', label: 'Subject' },
+                        { key: 'score', label: 'Score' },
+                      ]}
+                      rows={studentOverviewData}
+                    />
+                  </>
                 )}
               </div>
             </div>
@@ -955,11 +2214,16 @@ function App() {
                 {metricOptions.length > 0 && (
                   <div className="flex items-center gap-2 text-[11px] text-slate-400">
                     <span className="hidden sm:inline">Metric:</span>
-                    <div className="scrollbar-soft flex max-w-xs gap-1 overflow-x-auto rounded-full bg-slate-900/80 px-1 py-1">
+                    <div
+                      role="group"
+                      aria-label="Chart metrics"
+                      className="scrollbar-soft flex max-w-xs gap-1 overflow-x-auto rounded-full bg-slate-900/80 px-1 py-1"
+                    >
                       {metricOptions.map((opt) => (
                         <button
                           key={opt.key}
                           type="button"
+                          aria-pressed={chartMetricKeys.includes(opt.key)}
                           onClick={() =>
                             setActiveMetricKeys((current) =>
                               current.includes(opt.key)
@@ -1005,76 +2269,85 @@ function App() {
                     contains numeric scores.
                   </div>
                 ) : (
-                  <ResponsiveContainer width="100%" height={260}>
-                    <BarChart data={chartData}>
-                      <CartesianGrid
-                        strokeDasharray="3 3"
-                        stroke="#1f2937"
-                        vertical={false}
-                      />
-                      <XAxis
-                        dataKey="gpa"
-                        stroke="#9ca3af"
-                        tick={{ fontSize: 10 }}
-                        tickLine={false}
-                        axisLine={{ stroke: '#374151' }}
-                      />
-                      <YAxis
-                        allowDecimals={false}
-                        stroke="#9ca3af"
-                        tick={{ fontSize: 10 }}
-                        tickLine={false}
-                        axisLine={{ stroke: '#374151' }}
-                      />
-                      <Tooltip
-                        contentStyle={{
-                          backgroundColor: '#020617',
-                          borderRadius: 12,
-                          border: '1px solid rgba(30,64,175,0.75)',
-                          fontSize: 11,
-                        }}
-                        labelStyle={{ color: '#e5e7eb', marginBottom: 4 }}
-                        cursor={{ fill: 'rgba(37,99,235,0.08)' }}
-                      />
-                      <Legend
-                        formatter={(value) => (
-                          <span className="text-[11px] text-slate-300">{value}</span>
-                        )}
-                      />
-                      {chartMetricKeys.map((key, index) => {
-                        const colorPalette = [
-                          '#22c55e',
-                          '#0ea5e9',
-                          '#a855f7',
-                          '#f59e0b',
-                          '#ef4444',
-                        ];
-                        const color = colorPalette[index % colorPalette.length];
-                        return (
-                          <Bar
-                            key={key}
-                            dataKey={key}
-                            name={metricLabel(key)}
-                            radius={[6, 6, 2, 2]}
-                            fill={color}
-                            isAnimationActive
-                            animationDuration={900}
-                            animationEasing="ease-out"
+                  <>
+                    <ChartFigure label={`Students per value of ${chartMetricKeys.map(metricLabel).join(', ')}`}>
+                      <ResponsiveContainer width="100%" height={260}>
+                        <BarChart data={chartData} accessibilityLayer={false}>
+                          <CartesianGrid
+                            strokeDasharray="3 3"
+                            stroke={chart.grid}
+                            vertical={false}
+                          />
+                          <XAxis dataKey="gpa" {...axisProps} />
+                          <YAxis allowDecimals={false} {...axisProps} />
+                          <Tooltip {...tooltipProps} />
+                          <Legend
+                            formatter={(value) => (
+                              <span className="text-[11px] text-slate-300">{value}</span>
+                            )}
                           />
-                        );
-                      })}
-                      <defs>
-                        <linearGradient id="scoreGradient" x1="0" y1="0" x2="0" y2="1">
-                          <stop offset="0%" stopColor="#22c55e" stopOpacity="0.95" />
-                          <stop offset="60%" stopColor="#0ea5e9" stopOpacity="0.9" />
-                          <stop offset="100%" stopColor="#1d4ed8" stopOpacity="0.85" />
-                        </linearGradient>
-                      </defs>
-                    </BarChart>
-                  </ResponsiveContainer>
+                          {chartMetricKeys.map((key, index) => {
+                            const color = chart.series[index % chart.series.length];
+                            return (
+                              <Bar
+                                key={key}
+                                dataKey={key}
+                                name={metricLabel(key)}
+                                radius={[6, 6, 2, 2]}
+                                fill={color}
+                                isAnimationActive
+                                animationDuration={900}
+                                animationEasing="ease-out"
+                              />
+                            );
+                          })}
+                          <defs>
+                            <linearGradient id="scoreGradient" x1="0" y1="0" x2="0" y2="1">
+                              <stop offset="0%" stopColor={chart.classGradient[0]} stopOpacity="0.95" />
+                              <stop offset="60%" stopColor={chart.classGradient[1]} stopOpacity="0.9" />
+                              <stop offset="100%" stopColor={chart.classGradient[2]} stopOpacity="0.85" />
+                            </linearGradient>
+                          </defs>
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </ChartFigure>
+                    <ChartDataTable
+                      caption="Class distribution"
+                      columns={[
+                        { key: 'gpa', label: 'Value' },
+                        ...chartMetricKeys.map((key) => ({
+                          key,
+                          label: metricLabel(key),
+                          format: (value) => value ?? 0,
+                        })),
+                      ]}
+                      rows={chartData}
+                    />
+                  </>
                 )}
               </div>
             </div>
+
+            {subjectFields.length > 0 && (
+              <SubjectAnalyticsPanel
+                rows={classRows}
+                subjects={subjectFields}
+                scale={gradingScale}
+                statusCodes={statusCodes}
+                primaryTextField={primaryTextField}
+                idField={idField}
+                onSelectRow={handleRowClick}
+              />
+            )}
+
+            {snapshots.length > 0 && (
+              <HistoryPanel
+                points={classTrend}
+                snapshots={snapshots}
+                onRemove={removeSnapshot}
+                onClear={clearHistory}
+              />
+            )}
           </section>
         </main>
       </div>
@@ -0,0 +1,109 @@
+// Class-level aggregates for the private and aggregate-only publishing modes.
+// Any count below `minGroupSize` is suppressed (null) so a small group, or a
+// single student, can't be singled out from the published numbers.
+
+import { analysisSettings, analyzeRows } from './analysis.js';
+import { buildGradeBreakdown, buildHistogramData } from './chartData.js';
+import { describe, numericValues } from './statistics.js';
+import { averageValues } from './statusCodes.js';
+
+export const DEFAULT_MIN_GROUP_SIZE = 5;
+
+function round(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+// Suppresses small non-zero counts. When only one count would be hidden it
+// could be worked out from the total, so the next smallest is hidden too.
+export function suppressCounts(counts, minGroupSize) {
+  const hidden = counts.map((count) => count > 0 && count < minGroupSize);
+  if (hidden.filter(Boolean).length === 1) {
+    let smallest = -1;
+    counts.forEach((count, i) => {
+      if (!hidden[i] && count > 0 && (smallest < 0 || count < counts[smallest])) smallest = i;
+    });
+    if (smallest >= 0) hidden[smallest] = true;
+  }
+  return counts.map((count, i) => (hidden[i] ? null : count));
+}
+
+function suppressBins(bins, minGroupSize) {
+  const counts = suppressCounts(bins.map((bin) => bin.count), minGroupSize);
+  return bins.map((bin, i) => ({ ...bin, count: counts[i] }));
+}
+
+function summarize(values, minGroupSize) {
+  if (values.length < minGroupSize) {
+    return { count: values.length ? null : 0, suppressed: true };
+  }
+  const stats = describe(values);
+  return {
+    count: stats.count,
+    average: round(stats.mean),
+    median: round(stats.median),
+    stdDev: round(stats.stdDev),
+    max: stats.max,
+    min: stats.min,
+    suppressed: false,
+  };
+}
+
+// `analysis` is the result of analyzeRows() for one term.
+export function buildAggregates(analysis, { scale, statusCodes = [], minGroupSize = DEFAULT_MIN_GROUP_SIZE }) {
+  const { rows, rankingField } = analysis;
+  const metricValues = rankingField ? numericValues(rows, rankingField) : [];
+
+  return {
+    metricField: rankingField,
+    summary: summarize(metricValues, minGroupSize),
+    histogram:
+      metricValues.length >= minGroupSize
+        ? suppressBins(buildHistogramData(rows, rankingField), minGroupSize)
+        : [],
+    subjects: analysis.subjects.map((subject) => {
+      const values = averageValues(rows, subject.key, statusCodes);
+      const graded = rows.map((row) => row._grades?.[subject.key]).filter(Boolean);
+      const failed = graded.filter((grade) => grade.failed).length;
+      const enough = values.length >= minGroupSize;
+      const [passCount, failCount] =
+        enough && graded.length
+          ? suppressCounts([graded.length - failed, failed], minGroupSize)
+          : [null, null];
+
+      return {
+        key: subject.key,
+        label: subject.label,
+        credit: subject.credit ?? null,
+        stats: summarize(values, minGroupSize),
+        histogram: enough ? suppressBins(buildHistogramData(rows, subject.key), minGroupSize) : [],
+        grades:
+          enough && graded.length
+            ? suppressBins(buildGradeBreakdown(rows, subject.key, scale), minGroupSize)
+            : [],
+        passed: passCount,
+        failed: failCount,
+      };
+    }),
+  };
+}
+
+// Build-time output for aggregate-only publishing: no rows, names or
+// registration numbers, just per-term aggregates.
+export function buildAggregateDataset(terms, options = {}) {
+  const settings = analysisSettings(options);
+  const minGroupSize = options.minGroupSize || DEFAULT_MIN_GROUP_SIZE;
+  return {
+    version: 1,
+    mode: 'aggregate',
+    generatedAt: new Date().toISOString(),
+    source: options.fileName || null,
+    minGroupSize,
+    terms: terms.map((term) => ({
+      name: term.name,
+      ...buildAggregates(analyzeRows(term.rows, { ...settings, mapping: options.mapping }), {
+        ...settings,
+        minGroupSize,
+      }),
+    })),
+  };
+}
@@ -0,0 +1,507 @@
+// Sheet analysis shared by the dashboard, the `result-portal` CLI and the
+// build-time data plugin: column detection, grading, ranking and validation.
+// Nothing here touches the DOM or browser storage.
+
+import { buildHistogramData } from './chartData.js';
+import { applyCourseCatalog, normalizeCatalog } from './courseCatalog.js';
+import {
+  computeGpa,
+  detectSubjectValueType,
+  gpaMismatch,
+  maxGradePoint,
+  normalizeScale,
+  SUST_GRADING_SCALE,
+} from './grading.js';
+import { DEFAULT_RANKING, normalizeRanking, rankRows, rankingExclusion } from './ranking.js';
+import { DEFAULT_STATUS_CODES, matchStatusCode, normalizeStatusCodes } from './statusCodes.js';
+import { countBySeverity, validateRows } from './validation.js';
+
+// Pseudo-column holding the GPA computed from subject grades.
+export const COMPUTED_GPA_KEY = '_gpa';
+
+export function isBlank(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+export function listColumns(rows) {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+// Classify by the majority of non-blank cells rather than the first row so a
+// single empty or odd cell can't flip a column's type. Status codes ("Abs",
+// "W", ...) are skipped like blanks.
+export function detectTextFields(rows, statusCodes = []) {
+  if (!rows.length) return [];
+  return listColumns(rows).filter((key) => {
+    let text = 0;
+    let other = 0;
+    rows.forEach((row) => {
+      const value = row[key];
+      if (isBlank(value) || matchStatusCode(statusCodes, value)) return;
+      if (typeof value === 'string') text += 1;
+      else other += 1;
+    });
+    return text > 0 && text >= other;
+  });
+}
+
+export function detectNumericFields(rows, statusCodes = []) {
+  if (!rows.length) return [];
+  return listColumns(rows).filter((key) => {
+    let numeric = 0;
+    let other = 0;
+    rows.forEach((row) => {
+      const value = row[key];
+      if (isBlank(value) || matchStatusCode(statusCodes, value)) return;
+      const num = typeof value === 'number' ? value : parseFloat(value);
+      if (Number.isFinite(num)) numeric += 1;
+      else other += 1;
+    });
+    return numeric > 0 && numeric >= other;
+  });
+}
+
+function parseCreditFromHeader(key) {
+  const parenMatch = key.match(/\((\d+(\.\d+)?)\)/);
+  if (parenMatch) {
+    return parseFloat(parenMatch[1]);
+  }
+  const trailingMatch = key.match(/(\d+(\.\d+)?)\s*$/);
+  if (trailingMatch) {
+    return parseFloat(trailingMatch[1]);
+  }
+  return null;
+}
+
+// Header-only check: ids, totals and credit columns are never subjects.
+function isSubjectLikeHeader(key) {
+  const lower = key.toLowerCase();
+  return (
+    !/(roll|reg|registration|enrol|enrollment|id)/.test(lower) &&
+    !/(total|aggregate|overall|gpa|cgpa|sgpa|percentage|percent|score|credit)/.test(lower)
+  );
+}
+
+export function extractSubjectFields(rows, textFields = [], statusCodes = []) {
+  if (!rows.length) return [];
+  const keys = listColumns(rows);
+  const textSet = new Set(textFields.map((k) => k.toLowerCase()));
+
+  return keys
+    .map((key) => {
+      // Skip obvious non-subject columns and text-like fields
+      if (textSet.has(key.toLowerCase()) || !isSubjectLikeHeader(key)) {
+        return null;
+      }
+
+      // Require column to be numeric wherever it has values, apart from
+      // recognised status codes
+      let hasNumeric = false;
+      for (const row of rows) {
+        const raw = row[key];
+        if (raw === '' || raw == null || matchStatusCode(statusCodes, raw)) continue;
+        const num = typeof raw === 'number' ? raw : parseFloat(raw);
+        if (!Number.isFinite(num)) {
+          return null;
+        }
+        hasNumeric = true;
+      }
+
+      if (!hasNumeric) return null;
+
+      return { key, label: prettyKey(key), credit: parseCreditFromHeader(key) };
+    })
+    .filter(Boolean);
+}
+
+function detectPrimaryTextField(textFields) {
+  const joined = textFields.join(' ').toLowerCase();
+  const candidates = ['name', 'student', 'candidate'];
+  const found = candidates.find((c) => joined.includes(c));
+  if (!found) return textFields[0] || null;
+  return textFields.find((f) => f.toLowerCase().includes(found)) || textFields[0] || null;
+}
+
+function detectIdField(rows, textFields) {
+  const keys = listColumns(rows);
+  const candidates = ['roll', 'reg', 'registration', 'enrol', 'enrollment', 'admission', 'id'];
+
+  // Prefer text fields if possible
+  const orderedKeys = [
+    ...textFields,
+    ...keys.filter((k) => !textFields.includes(k)),
+  ];
+
+  const lowerKeys = orderedKeys.map((k) => k.toLowerCase());
+  const matchedCandidate = candidates.find((cand) =>
+    lowerKeys.some((k) => k.includes(cand)),
+  );
+  if (!matchedCandidate) return null;
+
+  return (
+    orderedKeys.find((k) =>
+      k.toLowerCase().includes(matchedCandidate),
+    ) || null
+  );
+}
+
+function detectPrimaryNumericField(numericFields, subjectFields) {
+  if (!numericFields.length) return null;
+  const preferred = [
+    'cg',
+    'cgpa',
+    'gpa',
+    'total',
+    'aggregate',
+    'overall',
+    'sgpa',
+    'percentage',
+    'percent',
+    'score',
+  ];
+  const lower = numericFields.map((f) => f.toLowerCase());
+  const idx = lower.findIndex((f) => preferred.some((p) => f.includes(p)));
+  if (idx >= 0) return numericFields[idx];
+
+  if (subjectFields.length) {
+    return subjectFields[0].key;
+  }
+
+  return numericFields[0];
+}
+
+// Heuristic role for every column; the mapping editor shows these as the
+// "detected" defaults and stores only the columns a user overrides.
+export function detectColumnRoles(rows, statusCodes = []) {
+  const textFields = detectTextFields(rows, statusCodes);
+  const nameField = detectPrimaryTextField(textFields);
+  const idField = detectIdField(rows, textFields);
+  const numericFields = detectNumericFields(rows, statusCodes).filter(
+    (key) => key !== idField && key !== nameField,
+  );
+  const subjectFields = extractSubjectFields(rows, textFields, statusCodes);
+  const subjectKeys = new Set(subjectFields.map((s) => s.key));
+  const totalField = detectPrimaryNumericField(numericFields, subjectFields);
+
+  const roles = {};
+  listColumns(rows).forEach((key) => {
+    if (key === idField) roles[key] = 'id';
+    else if (key === nameField) roles[key] = 'name';
+    else if (subjectKeys.has(key)) roles[key] = 'subject';
+    else if (key === totalField) roles[key] = 'total';
+    else if (/credit/i.test(key) && numericFields.includes(key)) roles[key] = 'credit';
+    else roles[key] = 'ignore';
+  });
+  return roles;
+}
+
+// A single typo (7.5 in a 0-4 column) flips a subject to "marks", hiding the
+// outlier; treat the column as grade points when nearly all values fit.
+function mostlyGradePoints(rows, key, scale) {
+  const top = maxGradePoint(scale);
+  let fits = 0;
+  let total = 0;
+  rows.forEach((row) => {
+    const raw = row[key];
+    if (isBlank(raw)) return;
+    const num = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!Number.isFinite(num)) return;
+    total += 1;
+    if (num <= top) fits += 1;
+  });
+  return total > 0 && fits / total >= 0.9;
+}
+
+export function resolveColumns(rows, roles) {
+  const columns = listColumns(rows);
+  const withRole = (role) => columns.filter((key) => roles[key] === role);
+
+  const subjectFields = withRole('subject').map((key) => ({
+    key,
+    label: prettyKey(key),
+    credit: parseCreditFromHeader(key),
+  }));
+  const totalFields = withRole('total');
+
+  return {
+    primaryTextField: withRole('name')[0] || null,
+    idField: withRole('id')[0] || null,
+    creditField: withRole('credit')[0] || null,
+    subjectFields,
+    totalFields,
+    primaryNumericField: totalFields[0] || subjectFields[0]?.key || null,
+  };
+}
+
+
+export function prettyKey(key) {
+  return String(key)
+    .replaceAll('_', ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .replace(/\b\w/g, (c) => c.toUpperCase())
+    .trim();
+}
+
+// Display name for a metric column.
+export function metricLabel(key) {
+  if (key === COMPUTED_GPA_KEY) return 'Computed GPA';
+  const lower = String(key).toLowerCase();
+  if (lower === 'cg' || lower === 'cgpa' || lower.includes(' cg') || lower.includes('cgpa')) {
+    return 'CGPA';
+  }
+  return prettyKey(key);
+}
+
+// Grade-point or raw-mark columns, decided per subject.
+export function gradeSubjects(rows, subjects, scale) {
+  return subjects.map((subject) => ({
+    ...subject,
+    valueType: detectSubjectValueType(rows, subject.key, scale),
+  }));
+}
+
+// A ranking metric missing from this term falls back to the primary one.
+export function resolveRankingField(ranking, { columns, hasGrades, primaryNumericField }) {
+  const { metric } = ranking;
+  if (metric === COMPUTED_GPA_KEY && hasGrades) return metric;
+  if (metric && columns.includes(metric)) return metric;
+  return primaryNumericField;
+}
+
+// Grades every row, then ranks it. Grading runs first so eligibility rules
+// can use grades and credits.
+export function scoreRows(
+  rows,
+  { creditField, subjects, scale, statusCodes, sheetGpaField, rankingField, ranking, idField, ranks = null },
+) {
+  const graded = rows.map((row) => {
+    const sheetCredits = creditField ? parseFloat(row[creditField]) : NaN;
+    if (!subjects.length) {
+      return Number.isFinite(sheetCredits) ? { ...row, _credits: sheetCredits } : row;
+    }
+    const result = computeGpa(scale, row, subjects, statusCodes);
+    return {
+      ...row,
+      _gpa: result.gpa,
+      _grades: result.grades,
+      _withheld: result.withheld,
+      // The sheet's credit column wins over credits earned from grades; null
+      // when neither the sheet nor the subjects carry credits.
+      _credits: Number.isFinite(sheetCredits)
+        ? sheetCredits
+        : result.weighted
+          ? result.earnedCredits
+          : null,
+      // Without credits the computed GPA is an unweighted average, which can't
+      // be checked against a credit-weighted sheet CG.
+      _gpaWeighted: result.weighted,
+      _gpaMismatch:
+        sheetGpaField && result.weighted ? gpaMismatch(scale, row[sheetGpaField], result.gpa) : false,
+    };
+  });
+  // Positions shipped with the bundled data stand in for a re-rank.
+  if (ranks && ranks.length === graded.length) {
+    return graded.map((row, index) => ({ ...row, _position: ranks[index] }));
+  }
+  return rankRows(graded, rankingField, {
+    method: ranking.method,
+    tieBreakers: ranking.tieBreakers,
+    isEligible: (row) => !rankingExclusion(row, ranking),
+    idField,
+    subjects,
+  });
+}
+
+// Columns expected to hold marks or numbers, including mostly-numeric ones
+// that subject detection rejected.
+export function numericColumnKeys(rows, columnRoles, statusCodes = []) {
+  const numericLike = new Set(detectNumericFields(rows, statusCodes));
+  return listColumns(rows).filter((key) => {
+    const role = columnRoles[key];
+    if (role === 'id' || role === 'name') return false;
+    return role !== 'ignore' || numericLike.has(key);
+  });
+}
+
+// Validation runs on the raw sheet so row numbers match the workbook.
+// `subjects` are graded subjects; `overrides` the user's column mapping.
+export function validateTerm(
+  rows,
+  { columnRoles, overrides = {}, subjects, scale, statusCodes, idField, nameField },
+) {
+  const subjectByKey = new Map(subjects.map((subject) => [subject.key, subject]));
+  const numericColumns = numericColumnKeys(rows, columnRoles, statusCodes).map((key) => {
+    const subject = subjectByKey.get(key);
+    let max = null;
+    if (subject) {
+      max =
+        subject.valueType === 'points' || mostlyGradePoints(rows, key, scale)
+          ? maxGradePoint(scale)
+          : subject.fullMarks || scale.defaultFullMarks;
+    } else if (columnRoles[key] === 'total' && /(gpa|cg)/i.test(key)) {
+      max = maxGradePoint(scale);
+    }
+    return {
+      key,
+      max,
+      // Mostly-numeric columns with a stray text cell fail subject detection.
+      droppedSubject:
+        columnRoles[key] === 'ignore' && !(key in overrides) && isSubjectLikeHeader(key),
+    };
+  });
+
+  return validateRows({ rows, idField, nameField, numericColumns, statusCodes });
+}
+
+// Runs the dashboard's full pipeline on one term without any UI state.
+// `mapping` holds column-role overrides keyed by column name.
+export function analyzeRows(rows, options = {}) {
+  const statusCodes = options.statusCodes || [];
+  const scale = options.scale || SUST_GRADING_SCALE;
+  const ranking = options.ranking || DEFAULT_RANKING;
+  const mapping = options.mapping || {};
+
+  const columns = listColumns(rows);
+  const columnRoles = detectColumnRoles(rows, statusCodes);
+  Object.entries(mapping).forEach(([column, role]) => {
+    if (column in columnRoles) columnRoles[column] = role;
+  });
+  const resolved = resolveColumns(rows, columnRoles);
+  const subjects = gradeSubjects(
+    rows,
+    applyCourseCatalog(resolved.subjectFields, options.catalog || []),
+    scale,
+  );
+  const rankingField = resolveRankingField(ranking, {
+    columns,
+    hasGrades: subjects.length > 0,
+    primaryNumericField: resolved.primaryNumericField,
+  });
+
+  return {
+    columns,
+    columnRoles,
+    ...resolved,
+    subjects,
+    rankingField,
+    rows: scoreRows(rows, {
+      creditField: resolved.creditField,
+      subjects,
+      scale,
+      statusCodes,
+      sheetGpaField: resolved.totalFields[0] || null,
+      rankingField,
+      ranking,
+      idField: resolved.idField,
+    }),
+    issues: validateTerm(rows, {
+      columnRoles,
+      overrides: mapping,
+      subjects,
+      scale,
+      statusCodes,
+      idField: resolved.idField,
+      nameField: resolved.primaryTextField,
+    }),
+  };
+}
+
+// Fills in the dashboard defaults for settings read from JSON files.
+export function analysisSettings(options = {}) {
+  return {
+    statusCodes: normalizeStatusCodes(options.statusCodes || DEFAULT_STATUS_CODES),
+    scale: normalizeScale(options.scale || SUST_GRADING_SCALE),
+    ranking: normalizeRanking(options.ranking),
+    catalog: normalizeCatalog(options.catalog || []),
+  };
+}
+
+// Normalized, JSON-serialisable form of a parsed workbook: detected schema,
+// scored rows with ranks, a histogram of the ranking metric and validation
+// issues per term.
+export function normalizeDataset(terms, options = {}) {
+  const settings = analysisSettings(options);
+
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    source: options.fileName || null,
+    terms: terms.map((term) => {
+      const result = analyzeRows(term.rows, settings);
+      return {
+        name: term.name,
+        schema: {
+          columns: result.columns.map((key) => ({ key, role: result.columnRoles[key] })),
+          idField: result.idField,
+          nameField: result.primaryTextField,
+          metricField: result.primaryNumericField,
+          rankingField: result.rankingField,
+          creditField: result.creditField,
+          totalFields: result.totalFields,
+          subjects: result.subjects,
+        },
+        rows: result.rows,
+        histogram: buildHistogramData(result.rows, result.rankingField),
+        issues: result.issues,
+        issueCounts: countBySeverity(result.issues),
+      };
+    }),
+  };
+}
+
+// True when the viewer's settings are the ones a build ranks with, so the
+// ranks shipped in the compact dataset still hold.
+export function usesDefaultSettings({ statusCodes, scale, ranking, catalog, mapping }) {
+  const defaults = analysisSettings();
+  return (
+    !Object.keys(mapping || {}).length &&
+    JSON.stringify(normalizeRanking(ranking)) === JSON.stringify(defaults.ranking) &&
+    JSON.stringify(normalizeScale(scale)) === JSON.stringify(defaults.scale) &&
+    JSON.stringify(normalizeStatusCodes(statusCodes)) === JSON.stringify(defaults.statusCodes) &&
+    !normalizeCatalog(catalog || []).length
+  );
+}
+
+// Build-time form of a normalized dataset: rows become value arrays in
+// `schema.columns` order (computed fields dropped) and the default-settings
+// ranks travel alongside, so an unchanged portal needn't re-rank on load.
+export function compactDataset(dataset) {
+  return {
+    version: dataset.version,
+    generatedAt: dataset.generatedAt,
+    source: dataset.source,
+    terms: dataset.terms.map((term) => {
+      const keys = term.schema.columns.map((column) => column.key);
+      return {
+        name: term.name,
+        schema: term.schema,
+        rows: term.rows.map((row) => keys.map((key) => row[key] ?? '')),
+        ranks: term.rows.map((row) => row._position ?? null),
+      };
+    }),
+  };
+}
+
+// Back to the { name, rows } terms a parsed workbook produces, keeping the
+// shipped `ranks` when there are any.
+export function expandCompactTerms(data) {
+  return (data?.terms || []).map((term) => {
+    const keys = term.schema.columns.map((column) => column.key);
+    return {
+      name: term.name,
+      rows: term.rows.map((values) => Object.fromEntries(keys.map((key, i) => [key, values[i]]))),
+      ranks: Array.isArray(term.ranks) ? term.ranks : null,
+    };
+  });
+}
@@ -0,0 +1,79 @@
+// Shapes result rows into the series the Recharts charts plot.
+
+export function buildHistogramData(rows, field, bins = 8) {
+  if (!rows.length || !field) return [];
+
+  const values = rows
+    .map((row) => {
+      const raw = row[field];
+      const num = typeof raw === 'number' ? raw : parseFloat(raw);
+      return Number.isFinite(num) ? num : null;
+    })
+    .filter((v) => v !== null);
+
+  if (!values.length) return [];
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min === max) {
+    return [];
+  }
+
+  const step = (max - min) / bins;
+  // Grade-point columns span only a few units, so keep decimals there.
+  const digits = step < 1 ? 2 : 0;
+  const format = (v) => String(Number(v.toFixed(digits)));
+  const data = Array.from({ length: bins }, (_, i) => {
+    const start = min + i * step;
+    const end = i === bins - 1 ? max : min + (i + 1) * step;
+    return {
+      range: `${format(start)} – ${format(end)}`,
+      count: 0,
+    };
+  });
+
+  values.forEach((v) => {
+    let idx = Math.floor(((v - min) / (max - min)) * bins);
+    if (idx >= bins) idx = bins - 1;
+    if (idx < 0) idx = 0;
+    data[idx].count += 1;
+  });
+
+  return data;
+}
+
+export function buildGpaCountData(rows, metrics) {
+  if (!rows.length || !metrics.length) return [];
+
+  const bins = new Map();
+
+  metrics.forEach((metricKey) => {
+    rows.forEach((row) => {
+      const raw = row[metricKey];
+      const num = typeof raw === 'number' ? raw : parseFloat(raw);
+      if (!Number.isFinite(num)) return;
+
+      const rounded = Number(num.toFixed(2));
+      const binKey = `${rounded}`;
+      let bin = bins.get(binKey);
+      if (!bin) {
+        bin = { gpa: rounded };
+        bins.set(binKey, bin);
+      }
+      bin[metricKey] = (bin[metricKey] || 0) + 1;
+    });
+  });
+
+  return Array.from(bins.values()).sort((a, b) => a.gpa - b.gpa);
+}
+
+// Counts per letter grade in scale order, for subjects graded by the engine.
+export function buildGradeBreakdown(rows, field, scale) {
+  const counts = new Map(scale.bands.map((band) => [band.grade, 0]));
+  rows.forEach((row) => {
+    const grade = row._grades?.[field];
+    if (!grade) return;
+    counts.set(grade.grade, (counts.get(grade.grade) || 0) + 1);
+  });
+  return Array.from(counts, ([grade, count]) => ({ grade, count }));
+}
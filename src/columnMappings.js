@@ -0,0 +1,55 @@
+// Column-role overrides chosen in the mapping editor, saved in localStorage per
+// workbook header signature so the same layout is recognised next time.
+
+const STORAGE_PREFIX = 'result-portal:column-mapping:';
+
+export const COLUMN_ROLES = [
+  { value: 'name', label: 'Name' },
+  { value: 'id', label: 'ID / Reg No.' },
+  { value: 'subject', label: 'Subject' },
+  { value: 'credit', label: 'Credit' },
+  { value: 'total', label: 'Total / CGPA' },
+  { value: 'ignore', label: 'Ignore' },
+];
+
+const VALID_ROLES = new Set(COLUMN_ROLES.map((role) => role.value));
+
+// Order-insensitive so re-arranged columns still match the saved mapping.
+export function columnSignature(columns) {
+  return columns
+    .map((column) => String(column).trim().toLowerCase())
+    .sort()
+    .join('|');
+}
+
+export function loadColumnMapping(signature) {
+  if (!signature) return {};
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + signature);
+    if (!raw) return {};
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(parsed).filter(([, role]) => VALID_ROLES.has(role)),
+    );
+  } catch (e) {
+    console.warn('Could not read saved column mapping.', e);
+    return {};
+  }
+}
+
+export function saveColumnMapping(signature, overrides) {
+  if (!signature) return;
+  try {
+    if (Object.keys(overrides).length) {
+      localStorage.setItem(STORAGE_PREFIX + signature, JSON.stringify(overrides));
+    } else {
+      localStorage.removeItem(STORAGE_PREFIX + signature);
+    }
+  } catch (e) {
+    console.warn('Could not save column mapping.', e);
+  }
+}
+
+export function clearColumnMapping(signature) {
+  saveColumnMapping(signature, {});
+}
@@ -0,0 +1,20 @@
+import React from 'react';
+import AggregatesView from './AggregatesView.jsx';
+import PortalShell, { usePublishedData } from './PortalShell.jsx';
+
+// Entry UI for aggregate-only builds: the bundle holds no student rows at all.
+function AggregatePortal() {
+  const { data, error } = usePublishedData();
+
+  return (
+    <PortalShell
+      intro="Class-wide results summary. Individual results are not published here."
+      error={error}
+      asOf={data?.generatedAt}
+    >
+      {data && <AggregatesView terms={data.terms} minGroupSize={data.minGroupSize} />}
+    </PortalShell>
+  );
+}
+
+export default AggregatePortal;
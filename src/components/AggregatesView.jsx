@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { metricLabel } from '../analysis.js';
+import { chartAxisProps, chartTooltipProps } from '../theme.js';
+import ChartDataTable, { ChartFigure } from './ChartDataTable.jsx';
+import { useChartPalette } from './ThemeProvider.jsx';
+
+function formatStat(value) {
+  return value == null ? '—' : Number(Number(value).toFixed(2));
+}
+
+function StatTile({ label, value, tone = 'text-white' }) {
+  return (
+    <div className="flex flex-col items-center justify-center rounded-xl bg-slate-950/80 px-2 py-2">
+      <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">{label}</span>
+      <span className={`text-sm font-black leading-tight ${tone}`}>{value}</span>
+    </div>
+  );
+}
+
+// Suppressed counts arrive as null; they plot as empty bars and read "<k".
+// `label` names the chart for screen readers; `keyLabel` heads its table.
+function CountChart({ data, dataKey, label, keyLabel, fill, minGroupSize, height }) {
+  const chart = useChartPalette();
+  const tooltipProps = chartTooltipProps(chart);
+  const axisProps = chartAxisProps(chart);
+  const chartData = data.map((item) => ({ ...item, shown: item.count ?? 0, hidden: item.count == null }));
+  return (
+    <>
+      <ChartFigure label={label}>
+        <ResponsiveContainer width="100%" height={height}>
+          <BarChart data={chartData} accessibilityLayer={false}>
+            <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} vertical={false} />
+            <XAxis dataKey={dataKey} {...axisProps} />
+            <YAxis allowDecimals={false} {...axisProps} />
+            <Tooltip
+              {...tooltipProps}
+              formatter={(value, name, item) => [item.payload.hidden ? `fewer than ${minGroupSize}` : value, name]}
+            />
+            <Bar dataKey="shown" name="Students" radius={[6, 6, 2, 2]} fill={fill} />
+          </BarChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+      <ChartDataTable
+        caption={label}
+        columns={[
+          { key: dataKey, label: keyLabel },
+          { key: 'count', label: 'Students', format: (value) => value ?? `fewer than ${minGroupSize}` },
+        ]}
+        rows={data}
+      />
+    </>
+  );
+}
+
+function SummaryTiles({ summary, minGroupSize }) {
+  if (summary.suppressed) {
+    return (
+      <p className="text-xs text-slate-400">
+        Fewer than {minGroupSize} results, so no statistics are shown.
+      </p>
+    );
+  }
+  return (
+    <div className="grid grid-cols-3 gap-2 sm:grid-cols-6">
+      <StatTile label="Students" value={summary.count} />
+      <StatTile label="Average" value={formatStat(summary.average)} tone="text-emerald-400" />
+      <StatTile label="Median" value={formatStat(summary.median)} />
+      <StatTile label="Std Dev" value={formatStat(summary.stdDev)} />
+      <StatTile label="Highest" value={formatStat(summary.max)} tone="text-sky-300" />
+      <StatTile label="Lowest" value={formatStat(summary.min)} tone="text-rose-300" />
+    </div>
+  );
+}
+
+// Class-level numbers only: summary, distributions and grade bands per term,
+// as emitted by buildAggregates().
+function AggregatesView({ terms, minGroupSize }) {
+  const chart = useChartPalette();
+  const [termName, setTermName] = useState(null);
+  const [subjectKey, setSubjectKey] = useState(null);
+
+  const term = terms.find((t) => t.name === termName) || terms[terms.length - 1] || null;
+  if (!term) return null;
+  const subject = term.subjects.find((s) => s.key === subjectKey) || term.subjects[0] || null;
+
+  return (
+    <div className="space-y-4">
+      <div className="glass-panel p-4 sm:p-5">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h2 className="text-sm font-bold text-white">Class Overview</h2>
+            <p className="mt-0.5 text-[10px] text-slate-500 font-medium">
+              {term.metricField ? metricLabel(term.metricField) : 'Results'} across the class. Groups
+              smaller than {minGroupSize} are hidden.
+            </p>
+          </div>
+          {terms.length > 1 && (
+            <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+              {terms.map((t) => (
+                <button
+                  key={t.name}
+                  type="button"
+                  onClick={() => setTermName(t.name)}
+                  aria-pressed={t.name === term.name}
+                  className={`whitespace-nowrap px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${t.name === term.name ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+                >
+                  {t.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="mt-4">
+          <SummaryTiles summary={term.summary} minGroupSize={minGroupSize} />
+        </div>
+        {term.histogram.length > 0 && (
+          <div className="mt-4">
+            <CountChart
+              data={term.histogram}
+              dataKey="range"
+              label={`${term.metricField ? metricLabel(term.metricField) : 'Result'} distribution, students per range`}
+              keyLabel="Range"
+              fill={chart.secondary}
+              minGroupSize={minGroupSize}
+              height={200}
+            />
+          </div>
+        )}
+      </div>
+
+      {subject && (
+        <div className="glass-panel p-4 sm:p-5">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h2 className="text-sm font-bold text-white">Subject Distributions</h2>
+              <p className="mt-0.5 text-[10px] text-slate-500 font-medium">
+                Marks and grade bands for a single subject.
+              </p>
+            </div>
+            <select
+              value={subject.key}
+              onChange={(e) => setSubjectKey(e.target.value)}
+              className="rounded-full border border-slate-700/60 bg-slate-900/80 px-3 py-1 text-[11px] text-slate-200 focus:border-emerald-400 focus:outline-none"
+            >
+              {term.subjects.map((s) => (
+                <option key={s.key} value={s.key}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mt-4">
+            <SummaryTiles summary={subject.stats} minGroupSize={minGroupSize} />
+          </div>
+          {subject.grades.length > 0 && (
+            <div className="mt-2 flex gap-3 text-[11px] text-slate-400">
+              {/* A small fail count hides the pass count too, or it could be derived. */}
+              <span>
+                Pass <span className="font-bold text-emerald-400">{subject.passed ?? 'hidden'}</span>
+              </span>
+              <span>
+                Fail <span className="font-bold text-rose-300">{subject.failed ?? 'hidden'}</span>
+              </span>
+            </div>
+          )}
+
+          {subject.histogram.length > 0 && (
+            <div className="mt-4">
+              <div className="mb-2 text-[11px] font-medium uppercase tracking-[0.16em] text-slate-400">
+                Mark histogram
+              </div>
+              <CountChart
+                data={subject.histogram}
+                dataKey="range"
+                label={`${subject.label} mark histogram, students per mark range`}
+                keyLabel="Marks"
+                fill={chart.secondary}
+                minGroupSize={minGroupSize}
+                height={180}
+              />
+            </div>
+          )}
+
+          {subject.grades.length > 0 && (
+            <div className="mt-4">
+              <div className="mb-2 text-[11px] font-medium uppercase tracking-[0.16em] text-slate-400">
+                Letter grades
+              </div>
+              <CountChart
+                data={subject.grades}
+                dataKey="grade"
+                label={`${subject.label} letter grades, students per grade`}
+                keyLabel="Grade"
+                fill={chart.primary}
+                minGroupSize={minGroupSize}
+                height={160}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AggregatesView;
@@ -0,0 +1,61 @@
+import React from 'react';
+
+// Wraps a chart so assistive technology reads it as one labelled image
+// instead of walking the SVG; pair it with a ChartDataTable for the numbers.
+export function ChartFigure({ label, children }) {
+  return (
+    <div role="img" aria-label={label}>
+      {children}
+    </div>
+  );
+}
+
+// Text alternative for a chart: the plotted values as a table behind a
+// "Data table" disclosure. `columns` are [{ key, label, format? }]; the first
+// column labels each row.
+function ChartDataTable({ caption, columns, rows }) {
+  if (!rows.length) return null;
+
+  return (
+    <details className="mt-2 text-[10px] text-slate-400">
+      <summary className="cursor-pointer select-none font-semibold text-slate-500 hover:text-slate-300">
+        Data table
+      </summary>
+      <div className="scrollbar-soft mt-2 max-h-56 overflow-auto rounded-xl border border-slate-700/50">
+        <table className="w-full border-collapse text-left">
+          <caption className="sr-only">{caption}</caption>
+          <thead className="sticky top-0 bg-slate-900">
+            <tr>
+              {columns.map((column) => (
+                <th key={column.key} scope="col" className="px-2 py-1 font-bold uppercase tracking-wide text-slate-500">
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index} className="border-t border-slate-800">
+                {columns.map((column, columnIndex) => {
+                  const value = column.format ? column.format(row[column.key], row) : row[column.key];
+                  const Cell = columnIndex === 0 ? 'th' : 'td';
+                  return (
+                    <Cell
+                      key={column.key}
+                      scope={columnIndex === 0 ? 'row' : undefined}
+                      className={`px-2 py-1 ${columnIndex === 0 ? 'font-medium text-slate-300' : 'font-mono text-slate-200'}`}
+                    >
+                      {value ?? '—'}
+                    </Cell>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
+
+export default ChartDataTable;
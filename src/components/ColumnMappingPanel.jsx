@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { COLUMN_ROLES } from '../columnMappings.js';
+
+const ROLE_LABELS = Object.fromEntries(
+  COLUMN_ROLES.map((role) => [role.value, role.label]),
+);
+
+function sampleValue(rows, column) {
+  const row = rows.find(
+    (r) => r[column] != null && String(r[column]).trim() !== '',
+  );
+  return row ? String(row[column]) : '—';
+}
+
+function ColumnMappingPanel({
+  rows,
+  columns,
+  detectedRoles,
+  roles,
+  overrides,
+  onChange,
+  onReset,
+}) {
+  const [open, setOpen] = useState(false);
+  const overrideCount = Object.keys(overrides).length;
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+            Column Mapping
+          </span>
+          <span className="text-slate-500">
+            {columns.length} column{columns.length === 1 ? '' : 's'} ·{' '}
+            {overrideCount
+              ? `${overrideCount} override${overrideCount === 1 ? '' : 's'} saved`
+              : 'auto-detected'}
+          </span>
+        </button>
+        {overrideCount > 0 && (
+          <button
+            type="button"
+            onClick={onReset}
+            className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+          >
+            Reset to detected
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-3 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+          {columns.map((column) => {
+            const isOverridden = column in overrides;
+            return (
+              <div
+                key={column}
+                className={`flex items-center justify-between gap-2 rounded-xl border px-3 py-2 ${isOverridden
+                  ? 'border-sky-500/30 bg-sky-500/5'
+                  : 'border-slate-700/40 bg-slate-900/50'
+                  }`}
+              >
+                <div className="flex min-w-0 flex-col">
+                  <span className="truncate font-medium text-slate-200" title={column}>
+                    {column}
+                  </span>
+                  <span className="truncate text-[10px] text-slate-500">
+                    e.g. {sampleValue(rows, column)}
+                    {isOverridden && ` · detected ${ROLE_LABELS[detectedRoles[column]]}`}
+                  </span>
+                </div>
+                <select
+                  value={roles[column]}
+                  onChange={(e) => onChange(column, e.target.value)}
+                  className="rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none"
+                >
+                  {COLUMN_ROLES.map((role) => (
+                    <option key={role.value} value={role.value}>
+                      {role.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ColumnMappingPanel;
@@ -0,0 +1,288 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  PolarAngleAxis,
+  PolarGrid,
+  PolarRadiusAxis,
+  Radar,
+  RadarChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { chartAxisProps, chartTooltipProps } from '../theme.js';
+import { ChartFigure } from './ChartDataTable.jsx';
+import { useChartPalette } from './ThemeProvider.jsx';
+
+export const MAX_COMPARE = 4;
+
+function toNumber(raw) {
+  if (raw === '' || raw == null) return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(num) ? num : null;
+}
+
+function formatGap(value, digits = 2, invert = false) {
+  if (value == null) return '—';
+  const signed = invert ? -value : value;
+  if (signed === 0) return '±0';
+  const text = Number(Math.abs(signed).toFixed(digits));
+  return signed > 0 ? `+${text}` : `−${text}`;
+}
+
+function gapTone(value, invert = false) {
+  if (value == null || value === 0) return 'text-slate-500';
+  const better = invert ? value < 0 : value > 0;
+  return better ? 'text-emerald-400' : 'text-rose-300';
+}
+
+function ComparePanel({
+  students,
+  subjects,
+  primaryTextField,
+  idField,
+  metricField,
+  metricLabel,
+  onRemove,
+  onClear,
+}) {
+  const [chartType, setChartType] = useState('bar');
+  const chart = useChartPalette();
+  const tooltipProps = chartTooltipProps(chart);
+  const axisProps = chartAxisProps(chart);
+
+  const names = students.map((row, index) =>
+    primaryTextField && row[primaryTextField]
+      ? String(row[primaryTextField])
+      : `Student ${index + 1}`,
+  );
+
+  const chartData = useMemo(
+    () =>
+      subjects.map((subject) => {
+        const point = { subject: subject.label };
+        students.forEach((row, index) => {
+          point[`s${index}`] = toNumber(row[subject.key]);
+        });
+        return point;
+      }),
+    [subjects, students],
+  );
+
+  // Every gap is measured against the first picked student.
+  const tableRows = useMemo(() => {
+    const baseline = students[0];
+    const rowsOut = subjects.map((subject) => {
+      const base = toNumber(baseline[subject.key]);
+      return {
+        label: subject.label,
+        values: students.map((row) => {
+          const value = toNumber(row[subject.key]);
+          return {
+            display: value ?? (row[subject.key] || '—'),
+            gap: value != null && base != null ? value - base : null,
+          };
+        }),
+      };
+    });
+
+    const summaryRow = (label, read, options = {}) => {
+      const base = read(baseline);
+      return {
+        label,
+        emphasis: true,
+        invert: options.invert,
+        digits: options.digits,
+        values: students.map((row) => {
+          const value = read(row);
+          return {
+            display: value == null ? '—' : options.format ? options.format(value) : value,
+            gap: value != null && base != null ? value - base : null,
+          };
+        }),
+      };
+    };
+
+    if (metricField) {
+      rowsOut.push(summaryRow(metricLabel, (row) => toNumber(row[metricField])));
+    }
+    if (students.some((row) => row._gpa != null)) {
+      rowsOut.push(
+        summaryRow('Computed GPA', (row) => row._gpa ?? null, { format: (v) => v.toFixed(2) }),
+      );
+    }
+    rowsOut.push(
+      summaryRow('Rank', (row) => row._position ?? null, {
+        invert: true,
+        digits: 0,
+        format: (v) => `#${v}`,
+      }),
+    );
+    return rowsOut;
+  }, [students, subjects, metricField, metricLabel]);
+
+  if (!students.length) return null;
+
+  return (
+    <div className="glass-panel flex flex-col p-4 sm:p-5 relative overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-4 relative">
+        <div>
+          <h2 className="text-sm font-bold text-white flex items-center gap-2">
+            <svg className="w-4 h-4 text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+            </svg>
+            Compare Students
+          </h2>
+          <p className="mt-0.5 text-[10px] text-slate-500 font-medium">
+            Up to {MAX_COMPARE} students. Gaps are measured against the first one.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+            {[
+              { value: 'bar', label: 'BARS' },
+              { value: 'radar', label: 'RADAR' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setChartType(option.value)}
+                aria-pressed={chartType === option.value}
+                className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${chartType === option.value ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={onClear}
+            className="rounded-full bg-slate-800 px-2 py-1 text-[10px] font-medium text-slate-300 hover:bg-slate-700 transition-colors"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-1.5">
+        {students.map((row, index) => (
+          <span
+            key={index}
+            className="inline-flex items-center gap-1.5 rounded-full bg-slate-900/80 px-2 py-1 text-[10px] text-slate-200"
+          >
+            <span
+              className="h-2 w-2 rounded-full"
+              style={{ backgroundColor: chart.series[index] }}
+            />
+            <span className="max-w-[10rem] truncate font-semibold">{names[index]}</span>
+            {idField && <span className="font-mono text-slate-500">{row[idField]}</span>}
+            <button
+              type="button"
+              onClick={() => onRemove(row)}
+              className="text-slate-500 hover:text-rose-300"
+              title="Remove from comparison"
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {subjects.length > 0 && (
+        <div className="mt-4">
+          <ChartFigure label={`Subject scores of ${names.join(', ')}. The table below lists the same scores.`}>
+            <ResponsiveContainer width="100%" height={260}>
+              {chartType === 'radar' ? (
+                <RadarChart data={chartData} outerRadius="75%" accessibilityLayer={false}>
+                  <PolarGrid stroke={chart.grid} />
+                  <PolarAngleAxis dataKey="subject" tick={{ fontSize: 10, fill: chart.axis }} />
+                  <PolarRadiusAxis tick={{ fontSize: 9, fill: chart.muted }} axisLine={false} />
+                  <Tooltip {...tooltipProps} />
+                  <Legend
+                    formatter={(value) => <span className="text-[11px] text-slate-300">{value}</span>}
+                  />
+                  {students.map((_, index) => (
+                    <Radar
+                      key={index}
+                      dataKey={`s${index}`}
+                      name={names[index]}
+                      stroke={chart.series[index]}
+                      fill={chart.series[index]}
+                      fillOpacity={0.15}
+                    />
+                  ))}
+                </RadarChart>
+              ) : (
+                <BarChart data={chartData} accessibilityLayer={false}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} vertical={false} />
+                  <XAxis dataKey="subject" {...axisProps} />
+                  <YAxis {...axisProps} />
+                  <Tooltip {...tooltipProps} />
+                  <Legend
+                    formatter={(value) => <span className="text-[11px] text-slate-300">{value}</span>}
+                  />
+                  {students.map((_, index) => (
+                    <Bar
+                      key={index}
+                      dataKey={`s${index}`}
+                      name={names[index]}
+                      radius={[4, 4, 1, 1]}
+                      fill={chart.series[index]}
+                    />
+                  ))}
+                </BarChart>
+              )}
+            </ResponsiveContainer>
+          </ChartFigure>
+        </div>
+      )}
+
+      <div className="scrollbar-soft mt-4 overflow-x-auto">
+        <table className="w-full text-left text-[11px]">
+          <thead>
+            <tr className="text-[10px] uppercase tracking-wide text-slate-500">
+              <th className="py-1.5 pr-3 font-bold">Subject</th>
+              {students.map((_, index) => (
+                <th key={index} className="py-1.5 pr-3 font-bold" title={names[index]}>
+                  <span className="inline-flex items-center gap-1.5">
+                    <span
+                      className="h-2 w-2 rounded-full"
+                      style={{ backgroundColor: chart.series[index] }}
+                    />
+                    <span className="max-w-[6rem] truncate">{names[index]}</span>
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {tableRows.map((row) => (
+              <tr
+                key={row.label}
+                className={`border-t border-white/5 ${row.emphasis ? 'font-semibold text-slate-100' : 'text-slate-300'}`}
+              >
+                <td className="py-1.5 pr-3">{row.label}</td>
+                {row.values.map((cell, index) => (
+                  <td key={index} className="py-1.5 pr-3 whitespace-nowrap">
+                    {cell.display}
+                    {index > 0 && (
+                      <span className={`ml-1.5 text-[10px] ${gapTone(cell.gap, row.invert)}`}>
+                        {formatGap(cell.gap, row.digits ?? 2, row.invert)}
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ComparePanel;
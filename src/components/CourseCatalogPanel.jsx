@@ -0,0 +1,233 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  COURSE_TYPES,
+  matchCourse,
+  normalizeCatalog,
+  parseCatalogJson,
+  serializeCatalog,
+} from '../courseCatalog.js';
+import { downloadJson } from '../download.js';
+
+const inputClass =
+  'w-full rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none';
+
+const emptyCourse = { code: '', title: '', credit: '', type: 'theory', fullMarks: '', aliases: '' };
+
+function toDraft(catalog) {
+  return catalog.map((course) => ({
+    ...course,
+    credit: course.credit ?? '',
+    fullMarks: course.fullMarks ?? '',
+    aliases: course.aliases.join(', '),
+  }));
+}
+
+function CourseCatalogPanel({ catalog, subjectKeys, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft(catalog));
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    setDraft(toDraft(catalog));
+  }, [catalog]);
+
+  const normalizedDraft = normalizeCatalog(draft);
+  const matchedKeys = subjectKeys.filter((key) => matchCourse(catalog, key));
+  const unmatchedKeys = subjectKeys.filter((key) => !matchCourse(normalizedDraft, key));
+  const isDirty =
+    JSON.stringify(normalizedDraft) !== JSON.stringify(normalizeCatalog(catalog));
+
+  const updateCourse = (index, field, value) => {
+    setDraft((current) =>
+      current.map((course, i) => (i === index ? { ...course, [field]: value } : course)),
+    );
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseCatalogJson(await file.text());
+      setImportError(null);
+      onChange(imported);
+    } catch (e) {
+      setImportError(e.message);
+    }
+  };
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+            Course Catalog
+          </span>
+          <span className="text-slate-500">
+            {catalog.length} course{catalog.length === 1 ? '' : 's'} · {matchedKeys.length} of{' '}
+            {subjectKeys.length} subjects matched
+          </span>
+        </button>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => fileRef.current?.click()}
+            className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+          >
+            Import JSON
+          </button>
+          <button
+            type="button"
+            disabled={!catalog.length}
+            onClick={() => downloadJson(serializeCatalog(catalog), 'course-catalog.json')}
+            className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700 disabled:opacity-50"
+          >
+            Export JSON
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              handleImport(e.target.files && e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+      {importError && <p className="mt-2 text-rose-300">{importError}</p>}
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          {draft.length > 0 && (
+            <div className="scrollbar-soft overflow-x-auto">
+              <div className="min-w-[640px] space-y-1.5">
+                <div className="grid grid-cols-[0.8fr_1.4fr_0.6fr_0.8fr_0.7fr_1.4fr_auto] gap-2 text-[10px] font-bold uppercase tracking-widest text-slate-500">
+                  <span>Code</span>
+                  <span>Title</span>
+                  <span>Credit</span>
+                  <span>Type</span>
+                  <span>Full marks</span>
+                  <span>Aliases</span>
+                  <span className="w-6" />
+                </div>
+                {draft.map((course, index) => (
+                  <div
+                    key={index}
+                    className="grid grid-cols-[0.8fr_1.4fr_0.6fr_0.8fr_0.7fr_1.4fr_auto] items-center gap-2"
+                  >
+                    <input
+                      value={course.code}
+                      placeholder="CSE 133"
+                      onChange={(e) => updateCourse(index, 'code', e.target.value)}
+                      className={inputClass}
+                    />
+                    <input
+                      value={course.title}
+                      placeholder="SPL Theory"
+                      onChange={(e) => updateCourse(index, 'title', e.target.value)}
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      value={course.credit}
+                      onChange={(e) => updateCourse(index, 'credit', e.target.value)}
+                      className={inputClass}
+                    />
+                    <select
+                      value={course.type}
+                      onChange={(e) => updateCourse(index, 'type', e.target.value)}
+                      className={inputClass}
+                    >
+                      {COURSE_TYPES.map((type) => (
+                        <option key={type.value} value={type.value}>
+                          {type.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      value={course.fullMarks}
+                      placeholder="100"
+                      onChange={(e) => updateCourse(index, 'fullMarks', e.target.value)}
+                      className={inputClass}
+                    />
+                    <input
+                      value={course.aliases}
+                      placeholder="Structured Programming, SPL"
+                      onChange={(e) => updateCourse(index, 'aliases', e.target.value)}
+                      className={inputClass}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setDraft((current) => current.filter((_, i) => i !== index))}
+                      className="w-6 rounded-md text-slate-500 hover:text-rose-300"
+                      title="Remove course"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {unmatchedKeys.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5">
+              <span className="text-slate-500">Unmatched subjects:</span>
+              {unmatchedKeys.map((key) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setDraft((current) => [...current, { ...emptyCourse, title: key }])}
+                  className="rounded-full bg-slate-800/80 px-2 py-0.5 text-[10px] text-slate-300 hover:bg-slate-700/80"
+                  title="Add a catalog entry for this column"
+                >
+                  + {key}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setDraft((current) => [...current, { ...emptyCourse }])}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Add course
+            </button>
+            <button
+              type="button"
+              disabled={!isDirty}
+              onClick={() => onChange(normalizedDraft)}
+              className="rounded-full bg-emerald-500/20 px-3 py-1 text-[10px] font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+            >
+              Apply
+            </button>
+            <span className="text-slate-500">
+              Columns match a course by code, title or alias, ignoring case and punctuation.
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CourseCatalogPanel;
@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from 'react';
+import { downloadCsv } from '../download.js';
+import { SEVERITIES, countBySeverity } from '../validation.js';
+
+const PAGE_SIZE = 50;
+
+const SEVERITY_STYLES = {
+  error: 'bg-rose-500/15 text-rose-300 ring-rose-400/40',
+  warning: 'bg-amber-500/15 text-amber-300 ring-amber-400/40',
+  info: 'bg-sky-500/15 text-sky-300 ring-sky-400/40',
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'severity', label: 'Severity' },
+  { key: 'row', label: 'Row' },
+  { key: 'column', label: 'Column' },
+  { key: 'value', label: 'Value' },
+  { key: 'message', label: 'Issue' },
+];
+
+function DataIssuesPanel({ issues, fileName, term, onDismiss }) {
+  const [open, setOpen] = useState(false);
+  const [severity, setSeverity] = useState('all');
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  const counts = useMemo(() => countBySeverity(issues), [issues]);
+  const visible = useMemo(
+    () => (severity === 'all' ? issues : issues.filter((i) => i.severity === severity)),
+    [issues, severity],
+  );
+
+  const handleExport = () => {
+    const stem = String(fileName || 'results').replace(/\.[^.]+$/, '');
+    downloadCsv(issues, EXPORT_COLUMNS, `${term ? `${stem}-${term}` : stem}-data-issues.csv`);
+  };
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px] border-amber-500/30">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-amber-400">
+            Data Issues
+          </span>
+          {SEVERITIES.filter((s) => counts[s]).map((s) => (
+            <span key={s} className={`rounded-full px-2 py-0.5 text-[10px] font-bold ring-1 ${SEVERITY_STYLES[s]}`}>
+              {counts[s]} {s}{counts[s] === 1 ? '' : 's'}
+            </span>
+          ))}
+        </button>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={handleExport}
+            className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-2">
+          <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5 w-fit">
+            {['all', ...SEVERITIES].map((s) => (
+              <button
+                key={s}
+                type="button"
+                onClick={() => {
+                  setSeverity(s);
+                  setLimit(PAGE_SIZE);
+                }}
+                aria-pressed={severity === s}
+                className={`px-2 py-0.5 rounded-md text-[10px] font-bold uppercase transition-all ${severity === s ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+              >
+                {s}
+              </button>
+            ))}
+          </div>
+          <ul className="scrollbar-soft max-h-64 space-y-1 overflow-y-auto">
+            {visible.slice(0, limit).map((issue, index) => (
+              <li
+                key={index}
+                className="flex items-start gap-2 rounded-xl bg-slate-900/50 px-3 py-2"
+              >
+                <span className={`mt-0.5 rounded-md px-1.5 py-0.5 text-[9px] font-bold uppercase ring-1 ${SEVERITY_STYLES[issue.severity]}`}>
+                  {issue.severity}
+                </span>
+                <span className="flex min-w-0 flex-col">
+                  <span className="text-slate-200">{issue.message}</span>
+                  {(issue.row != null || issue.column) && (
+                    <span className="text-[10px] font-mono text-slate-500">
+                      {issue.row != null && `Row ${issue.row}`}
+                      {issue.row != null && issue.column && ' · '}
+                      {issue.column}
+                    </span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {visible.length > limit && (
+            <button
+              type="button"
+              onClick={() => setLimit((n) => n + PAGE_SIZE)}
+              className="text-[10px] font-medium text-sky-300 hover:text-sky-200"
+            >
+              Show {Math.min(PAGE_SIZE, visible.length - limit)} more of {visible.length - limit}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataIssuesPanel;
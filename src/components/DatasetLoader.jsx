@@ -0,0 +1,131 @@
+import React, { useRef, useState } from 'react';
+
+const ACCEPTED_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+function isAcceptedFile(file) {
+  const name = file.name.toLowerCase();
+  return ACCEPTED_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+function formatLoadedAt(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
+function DatasetLoader({ source, disabled, onFile, onReset }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [fileError, setFileError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setFileError(null);
+    try {
+      await action();
+    } catch (e) {
+      console.error(e);
+      setFileError(e.message || 'Could not read this file.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFiles = (files) => {
+    const file = files && files[0];
+    if (!file) return;
+    if (!isAcceptedFile(file)) {
+      setFileError(`Unsupported file type. Use ${ACCEPTED_EXTENSIONS.join(', ')}.`);
+      return;
+    }
+    run(() => onFile(file));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (isDisabled) return;
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const isUpload = source?.kind === 'upload';
+  const isDisabled = busy || disabled;
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      className={`glass-panel !rounded-2xl flex flex-wrap items-center justify-between gap-3 px-4 py-3 text-[11px] transition-colors ${dragging
+        ? 'border-emerald-400/70 bg-emerald-500/10'
+        : ''
+        }`}
+    >
+      <div className="flex min-w-0 items-center gap-3">
+        <div className="p-1.5 rounded-lg bg-sky-500/10 border border-sky-500/20">
+          <svg className="w-3.5 h-3.5 text-sky-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+          </svg>
+        </div>
+        <div className="flex min-w-0 flex-col">
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">
+            Data Source
+          </span>
+          <span className="truncate font-mono text-slate-200" title={source?.fileName || ''}>
+            {source?.fileName || 'result.xlsx'}
+            <span className="ml-2 font-sans text-slate-500">
+              {isUpload
+                ? `uploaded ${formatLoadedAt(source.loadedAt)}`
+                : 'bundled default'}
+            </span>
+          </span>
+          {fileError && <span className="text-rose-300">{fileError}</span>}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="hidden text-slate-500 sm:inline">
+          {dragging ? 'Drop to load' : 'Drag a workbook here or'}
+        </span>
+        <button
+          type="button"
+          disabled={isDisabled}
+          onClick={() => inputRef.current?.click()}
+          className="rounded-full bg-emerald-500/20 px-3 py-1 text-[10px] font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+        >
+          {busy ? 'Loading…' : 'Upload file'}
+        </button>
+        {isUpload && (
+          <button
+            type="button"
+            disabled={isDisabled}
+            onClick={() => run(onReset)}
+            className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700 disabled:opacity-50"
+          >
+            Use bundled file
+          </button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          className="hidden"
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default DatasetLoader;
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import {
+  CONDITION_KINDS,
+  EMPTY_FILTER,
+  METRIC_OPERATORS,
+  describeCondition,
+  isConditionComplete,
+  isFilterActive,
+  newCondition,
+} from '../filters.js';
+
+const inputClass =
+  'w-full rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none';
+
+function FilterBuilderPanel({
+  filter,
+  fields,
+  hasId,
+  hasGrades,
+  matchCount,
+  totalCount,
+  presets,
+  onChange,
+  onSavePreset,
+  onDeletePreset,
+}) {
+  const [open, setOpen] = useState(false);
+  const [presetName, setPresetName] = useState('');
+
+  const kinds = CONDITION_KINDS.filter(
+    (kind) =>
+      (kind.value !== 'id' || hasId) &&
+      (kind.value !== 'failed' || hasGrades) &&
+      (kind.value !== 'metric' || fields.length > 0),
+  );
+  const labelFor = (key) => fields.find((field) => field.key === key)?.label || key;
+  const active = isFilterActive(filter);
+
+  const updateCondition = (index, patch) => {
+    onChange({
+      ...filter,
+      conditions: filter.conditions.map((c, i) => (i === index ? { ...c, ...patch } : c)),
+    });
+  };
+
+  const replaceCondition = (index, condition) => {
+    onChange({
+      ...filter,
+      conditions: filter.conditions.map((c, i) => (i === index ? { ...condition, id: c.id } : c)),
+    });
+  };
+
+  const removeCondition = (index) => {
+    onChange({ ...filter, conditions: filter.conditions.filter((_, i) => i !== index) });
+  };
+
+  const addCondition = () => {
+    onChange({
+      ...filter,
+      conditions: [...filter.conditions, newCondition(kinds[0]?.value, fields)],
+    });
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onSavePreset(name);
+    setPresetName('');
+  };
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex min-w-0 items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 flex-shrink-0 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+            Filters
+          </span>
+          {active ? (
+            <span className="truncate text-slate-300">
+              {filter.conditions
+                .filter(isConditionComplete)
+                .map((c) => describeCondition(c, labelFor))
+                .join(filter.combinator === 'or' ? ' OR ' : ' AND ')}
+            </span>
+          ) : (
+            <span className="text-slate-500">None</span>
+          )}
+        </button>
+        {active && (
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-emerald-400">
+              {matchCount} of {totalCount} students
+            </span>
+            <button
+              type="button"
+              onClick={() => onChange(EMPTY_FILTER)}
+              className="rounded-full bg-slate-800 px-2 py-1 text-[10px] font-medium text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="flex items-center gap-2">
+            <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Match</span>
+            <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+              {[
+                { value: 'and', label: 'ALL (AND)' },
+                { value: 'or', label: 'ANY (OR)' },
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => onChange({ ...filter, combinator: option.value })}
+                  aria-pressed={filter.combinator === option.value}
+                  className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${filter.combinator === option.value ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            {filter.conditions.map((condition, index) => (
+              <div key={condition.id} className="grid grid-cols-[1fr_2fr_auto] items-center gap-2">
+                <select
+                  value={condition.kind}
+                  onChange={(e) => replaceCondition(index, newCondition(e.target.value, fields))}
+                  className={inputClass}
+                >
+                  {kinds.map((kind) => (
+                    <option key={kind.value} value={kind.value}>
+                      {kind.label}
+                    </option>
+                  ))}
+                </select>
+
+                {condition.kind === 'metric' && (
+                  <div className="grid grid-cols-[1.4fr_0.9fr_1fr_auto] items-center gap-2">
+                    <select
+                      value={condition.field}
+                      onChange={(e) => updateCondition(index, { field: e.target.value })}
+                      className={inputClass}
+                    >
+                      {fields.map((field) => (
+                        <option key={field.key} value={field.key}>
+                          {field.label}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={condition.op}
+                      onChange={(e) => updateCondition(index, { op: e.target.value })}
+                      className={inputClass}
+                    >
+                      {METRIC_OPERATORS.map((op) => (
+                        <option key={op.value} value={op.value}>
+                          {op.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      step="any"
+                      value={condition.value}
+                      onChange={(e) => updateCondition(index, { value: e.target.value })}
+                      className={inputClass}
+                    />
+                    {condition.op === 'between' ? (
+                      <input
+                        type="number"
+                        step="any"
+                        value={condition.value2}
+                        placeholder="and"
+                        onChange={(e) => updateCondition(index, { value2: e.target.value })}
+                        className={`${inputClass} !w-16`}
+                      />
+                    ) : (
+                      <span />
+                    )}
+                  </div>
+                )}
+
+                {condition.kind === 'failed' && (
+                  <select
+                    value={condition.value ? 'yes' : 'no'}
+                    onChange={(e) => updateCondition(index, { value: e.target.value === 'yes' })}
+                    className={inputClass}
+                  >
+                    <option value="yes">Failed any subject</option>
+                    <option value="no">Passed every subject</option>
+                  </select>
+                )}
+
+                {condition.kind === 'id' && (
+                  <div className="grid grid-cols-[1fr_auto_1fr] items-center gap-2">
+                    <input
+                      type="text"
+                      value={condition.from}
+                      placeholder="from"
+                      onChange={(e) => updateCondition(index, { from: e.target.value })}
+                      className={`${inputClass} font-mono`}
+                    />
+                    <span className="text-slate-500">to</span>
+                    <input
+                      type="text"
+                      value={condition.to}
+                      placeholder="to"
+                      onChange={(e) => updateCondition(index, { to: e.target.value })}
+                      className={`${inputClass} font-mono`}
+                    />
+                  </div>
+                )}
+
+                <button
+                  type="button"
+                  onClick={() => removeCondition(index)}
+                  className="w-6 rounded-md text-slate-500 hover:text-rose-300"
+                  title="Remove condition"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={addCondition}
+              disabled={!kinds.length}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700 disabled:opacity-50"
+            >
+              Add condition
+            </button>
+            <input
+              type="text"
+              value={presetName}
+              placeholder="Preset name"
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSavePreset()}
+              className={`${inputClass} !w-32`}
+            />
+            <button
+              type="button"
+              onClick={handleSavePreset}
+              disabled={!presetName.trim() || !active}
+              className="rounded-full bg-emerald-500/20 px-3 py-1 text-[10px] font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+            >
+              Save preset
+            </button>
+          </div>
+
+          {presets.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5">
+              <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Presets</span>
+              {presets.map((preset) => (
+                <span
+                  key={preset.name}
+                  className="inline-flex items-center gap-1 rounded-full bg-slate-900/80 px-2 py-1 text-[10px] text-slate-200"
+                >
+                  <button
+                    type="button"
+                    onClick={() => onChange(preset.filter)}
+                    className="font-semibold hover:text-emerald-300"
+                    title={preset.filter.conditions.map((c) => describeCondition(c, labelFor)).join(
+                      preset.filter.combinator === 'or' ? ' OR ' : ' AND ',
+                    )}
+                  >
+                    {preset.name}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDeletePreset(preset.name)}
+                    className="text-slate-500 hover:text-rose-300"
+                    title="Delete preset"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FilterBuilderPanel;
@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import { FAIL_POLICIES } from '../grading.js';
+
+const inputClass =
+  'w-full rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none';
+
+function GradingScalePanel({ scale, mismatchCount, unverifiableCount, sheetField, onChange, onReset }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(scale);
+
+  // Edits stay in a draft until applied so bands don't re-sort mid-typing.
+  useEffect(() => {
+    setDraft(scale);
+  }, [scale]);
+
+  const updateBand = (index, field, value) => {
+    setDraft((current) => ({
+      ...current,
+      bands: current.bands.map((band, i) =>
+        i === index ? { ...band, [field]: value } : band,
+      ),
+    }));
+  };
+
+  const removeBand = (index) => {
+    setDraft((current) => ({
+      ...current,
+      bands: current.bands.filter((_, i) => i !== index),
+    }));
+  };
+
+  const addBand = () => {
+    setDraft((current) => ({
+      ...current,
+      bands: [...current.bands, { minMark: 0, grade: '', point: 0 }],
+    }));
+  };
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(scale);
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+            Grading Scale
+          </span>
+          <span className="text-slate-500">
+            {scale.name} · {scale.bands.length} bands
+          </span>
+        </button>
+        {sheetField && (
+          <span className={mismatchCount ? 'font-semibold text-amber-400' : 'text-slate-500'}>
+            {mismatchCount
+              ? `⚠ ${mismatchCount} student${mismatchCount === 1 ? '' : 's'} where ${sheetField} ≠ computed GPA`
+              : unverifiableCount
+                ? `${sheetField} unverifiable for ${unverifiableCount} student${unverifiableCount === 1 ? '' : 's'} (credits unknown)`
+                : `${sheetField} matches computed GPA for every student`}
+          </span>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 text-[10px] font-bold uppercase tracking-widest text-slate-500">
+            <span>Min mark %</span>
+            <span>Grade</span>
+            <span>Point</span>
+            <span className="w-6" />
+          </div>
+          <div className="space-y-1.5">
+            {draft.bands.map((band, index) => (
+              <div key={index} className="grid grid-cols-[1fr_1fr_1fr_auto] items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={band.minMark}
+                  onChange={(e) => updateBand(index, 'minMark', e.target.value)}
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={band.grade}
+                  onChange={(e) => updateBand(index, 'grade', e.target.value)}
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.25"
+                  value={band.point}
+                  onChange={(e) => updateBand(index, 'point', e.target.value)}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeBand(index)}
+                  disabled={draft.bands.length <= 1}
+                  className="w-6 rounded-md text-slate-500 hover:text-rose-300 disabled:opacity-30"
+                  title="Remove band"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="flex flex-col gap-1">
+              <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Failed subjects</span>
+              <select
+                value={draft.failPolicy}
+                onChange={(e) => setDraft({ ...draft, failPolicy: e.target.value })}
+                className={inputClass}
+              >
+                {FAIL_POLICIES.map((policy) => (
+                  <option key={policy.value} value={policy.value}>
+                    {policy.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Mismatch tolerance</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft.tolerance}
+                onChange={(e) => setDraft({ ...draft, tolerance: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Default full marks</span>
+              <input
+                type="number"
+                min="1"
+                value={draft.defaultFullMarks}
+                onChange={(e) => setDraft({ ...draft, defaultFullMarks: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={addBand}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Add band
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(draft)}
+              disabled={!isDirty}
+              className="rounded-full bg-emerald-500/20 px-3 py-1 text-[10px] font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={onReset}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Reset to SUST default
+            </button>
+            <span className="text-slate-500">
+              Subjects without a credit value count as 1 credit.
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GradingScalePanel;
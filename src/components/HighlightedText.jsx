@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Renders `text` with the [start, end) ranges from search matches marked.
+function HighlightedText({ text, ranges }) {
+  const value = String(text ?? '');
+  if (!ranges?.length) return value;
+
+  const merged = [];
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    });
+
+  const parts = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) parts.push(value.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="rounded-sm bg-emerald-500/25 text-emerald-200">
+        {value.slice(start, end)}
+      </mark>,
+    );
+    cursor = end;
+  });
+  if (cursor < value.length) parts.push(value.slice(cursor));
+  return <>{parts}</>;
+}
+
+export default HighlightedText;
@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { formatSnapshotDate } from '../history.js';
+import { chartAxisProps, chartTooltipProps } from '../theme.js';
+import ChartDataTable, { ChartFigure } from './ChartDataTable.jsx';
+import { useChartPalette } from './ThemeProvider.jsx';
+
+// Class-wide averages across every stored snapshot, plus the snapshot list.
+// `points` are [{ key, label, average, count, metric }], oldest first.
+function HistoryPanel({ points, snapshots, onRemove, onClear }) {
+  const chart = useChartPalette();
+  const tooltipProps = chartTooltipProps(chart);
+  const axisProps = chartAxisProps(chart);
+  const plotted = points.filter((point) => point.average != null);
+
+  return (
+    <div className="glass-panel p-4 sm:p-5">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm font-bold text-white">Result History</h2>
+          <p className="mt-0.5 text-[10px] text-slate-500 font-medium">
+            Class average across {snapshots.length} imported snapshot{snapshots.length === 1 ? '' : 's'}.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onClear}
+          className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+        >
+          Clear history
+        </button>
+      </div>
+
+      <div className="mt-4">
+        {plotted.length < 2 ? (
+          <p className="text-xs text-slate-400">
+            Import another result file to start a trend line.
+          </p>
+        ) : (
+          <>
+            <ChartFigure label="Class average for each imported result file">
+              <ResponsiveContainer width="100%" height={200}>
+                <LineChart data={plotted} accessibilityLayer={false}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} vertical={false} />
+                  <XAxis dataKey="label" {...axisProps} />
+                  <YAxis {...axisProps} domain={['auto', 'auto']} />
+                  <Tooltip
+                    {...tooltipProps}
+                    formatter={(value, _name, item) => [
+                      `${value} (${item.payload.count} students)`,
+                      `Average ${item.payload.metric}`,
+                    ]}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="average"
+                    stroke={chart.primary}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                    isAnimationActive={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartFigure>
+            <ChartDataTable
+              caption="Class average per import"
+              columns={[
+                { key: 'label', label: 'Import' },
+                { key: 'metric', label: 'Metric' },
+                { key: 'average', label: 'Average' },
+                { key: 'count', label: 'Students' },
+              ]}
+              rows={plotted}
+            />
+          </>
+        )}
+      </div>
+
+      <ul className="mt-4 space-y-1.5 text-[11px]">
+        {[...snapshots].reverse().map((snapshot) => (
+          <li
+            key={snapshot.id}
+            className="flex items-center justify-between gap-2 rounded-xl bg-slate-900/80 px-3 py-2"
+          >
+            <div className="min-w-0">
+              <div className="truncate font-medium text-slate-200">
+                {snapshot.terms.map((term) => term.name).join(', ')}
+              </div>
+              <div className="truncate text-[10px] text-slate-500">
+                {formatSnapshotDate(snapshot.importedAt)} · {snapshot.fileName}
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => onRemove(snapshot.id)}
+              className="w-6 flex-shrink-0 rounded-md text-slate-500 hover:text-rose-300"
+              title="Remove snapshot"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default HistoryPanel;
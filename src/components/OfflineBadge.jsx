@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { wasServedFromCache } from '../offline.js';
+
+// True while the browser is offline or when this page came from the
+// service worker cache.
+export function useOfflineStatus() {
+  const [offline, setOffline] = useState(() => typeof navigator !== 'undefined' && navigator.onLine === false);
+  const [fromCache, setFromCache] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    wasServedFromCache().then((cached) => active && setFromCache(cached));
+
+    const update = () => setOffline(!navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      active = false;
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return offline || fromCache;
+}
+
+function formatAsOf(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// "Offline · data as of <date>" pill; `asOf` is when the shown data was
+// published or uploaded.
+function OfflineBadge({ asOf }) {
+  const date = formatAsOf(asOf);
+  return (
+    <div
+      role="status"
+      className="inline-flex items-center gap-2 rounded-full border border-amber-500/30 bg-amber-500/10 px-3 py-1.5 text-[11px] font-semibold text-amber-200"
+    >
+      <svg className="w-3.5 h-3.5 text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M3 3l18 18M8.5 16.4a5 5 0 017 0M5 12.9a10 10 0 015.4-2.8m3.6.1A10 10 0 0119 12.9M1.4 9.4a15 15 0 014.8-3.1m4.3-.9a15 15 0 0112.1 4M12 20h.01" />
+      </svg>
+      Offline
+      <span className="font-medium text-amber-200/70">
+        {date ? `data as of ${date}` : 'showing cached data'}
+      </span>
+    </div>
+  );
+}
+
+export default OfflineBadge;
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import OfflineBadge, { useOfflineStatus } from './OfflineBadge.jsx';
+import ThemeSwitcher from './ThemeSwitcher.jsx';
+
+// Loads the build-time `virtual:result-data` module for the published
+// (private / aggregate-only) portals.
+export function usePublishedData() {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    import('virtual:result-data')
+      .then((module) => setData(module.default))
+      .catch((e) => {
+        console.error(e);
+        setError(`Failed to load results: ${e.message || e}`);
+      });
+  }, []);
+
+  return { data, error };
+}
+
+// Page frame and header shared by the published portals. `asOf` is the
+// build date shown when the page is served offline.
+function PortalShell({ intro, error, asOf, children }) {
+  const offline = useOfflineStatus();
+
+  return (
+    <div className="min-h-screen w-full overflow-x-hidden bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-50">
+      <div className="mx-auto flex min-h-screen w-full max-w-4xl flex-col gap-6 px-4 py-6 sm:px-6 lg:py-10">
+        <header className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="inline-flex items-center gap-2.5 rounded-full border border-emerald-500/30 bg-emerald-500/5 px-4 py-1.5 text-[11px] font-semibold tracking-wide text-emerald-300 backdrop-blur-md">
+              SUST • CSE DEPARTMENT
+            </div>
+            {offline && <OfflineBadge asOf={asOf} />}
+            <ThemeSwitcher />
+          </div>
+          <h1 className="text-3xl font-bold tracking-tight text-white sm:text-4xl">
+            Result <span className="text-transparent bg-clip-text bg-gradient-to-r from-emerald-400 to-sky-400">Portal</span>
+          </h1>
+          <p className="text-sm leading-relaxed text-slate-400">{intro}</p>
+        </header>
+
+        {error && (
+          <div className="rounded-2xl border border-rose-500/40 bg-rose-500/10 px-4 py-3 text-sm text-rose-200">
+            {error}
+          </div>
+        )}
+
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default PortalShell;
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { metricLabel } from '../analysis.js';
+import { normalizeSecret, openRecord } from '../privacy.js';
+import { topPercentTier } from '../statistics.js';
+import AggregatesView from './AggregatesView.jsx';
+import PortalShell, { usePublishedData } from './PortalShell.jsx';
+
+const inputClass =
+  'w-full rounded-xl border border-slate-700/60 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-emerald-400 focus:outline-none';
+
+function StudentTerm({ term }) {
+  const tier = topPercentTier(term.position, term.rankedCount);
+  return (
+    <div className="rounded-2xl bg-slate-900/80 p-3 text-xs text-slate-200">
+      <div className="mb-3 flex flex-wrap items-end justify-between gap-3">
+        <span className="text-[11px] font-medium uppercase tracking-[0.16em] text-slate-400">
+          {term.term}
+        </span>
+        <div className="flex items-end gap-4">
+          {term.metricField && (
+            <div className="flex flex-col items-end">
+              <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">
+                {metricLabel(term.metricField)}
+              </span>
+              <span className="text-xl font-black text-emerald-400">
+                {term.value === '' || term.value == null ? '—' : term.value}
+              </span>
+            </div>
+          )}
+          <div className="flex flex-col items-end">
+            <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">Rank</span>
+            <span className="text-xl font-black text-sky-300">
+              {term.withheld ? 'Withheld' : term.position != null ? `#${term.position}` : '—'}
+              {term.position != null && (
+                <span className="text-[11px] font-bold text-slate-500"> / {term.rankedCount}</span>
+              )}
+            </span>
+          </div>
+          {tier && (
+            <span className="rounded-full bg-emerald-500/10 px-2 py-0.5 text-[10px] font-bold text-emerald-300">
+              Top {tier}%
+            </span>
+          )}
+        </div>
+      </div>
+      <div className="grid gap-2 sm:grid-cols-2">
+        {term.subjects.map((subject) => (
+          <div
+            key={subject.label}
+            className="flex items-center justify-between gap-2 rounded-xl bg-slate-950/80 px-3 py-2.5"
+          >
+            <span className="text-[11px] font-medium text-slate-200">{subject.label}</span>
+            <span className="flex items-center gap-2">
+              {subject.grade && (
+                <span
+                  className={`rounded-md px-1.5 py-0.5 text-[10px] font-bold ${subject.failed
+                    ? 'bg-rose-500/15 text-rose-300'
+                    : 'bg-sky-500/10 text-sky-300'
+                    }`}
+                >
+                  {subject.grade}
+                </span>
+              )}
+              <span className="text-sm font-semibold text-emerald-400">{subject.value}</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Entry UI for builds published in private mode: a student unlocks only their
+// own record; everyone sees suppressed class aggregates.
+function PrivatePortal() {
+  const { data, error: loadError } = usePublishedData();
+  const [regNo, setRegNo] = useState('');
+  const [secret, setSecret] = useState('');
+  const [record, setRecord] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [lookupError, setLookupError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!regNo.trim() || !secret.trim()) return;
+    setChecking(true);
+    setLookupError(null);
+    try {
+      const found = await openRecord(data, regNo, normalizeSecret(secret, data.verify.date));
+      if (found) {
+        setRecord(found);
+        setSecret('');
+      } else {
+        setLookupError(`No result matches that registration number and ${data.verify.label}.`);
+      }
+    } catch (e) {
+      // crypto.subtle is missing on non-secure (plain http) origins.
+      console.error(e);
+      setLookupError(
+        window.isSecureContext
+          ? `Could not check your result: ${e.message || e}`
+          : 'This browser only checks results over https. Open the portal from a secure address.',
+      );
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const signOut = () => {
+    setRecord(null);
+    setRegNo('');
+    setLookupError(null);
+  };
+
+  return (
+    <PortalShell
+      intro={`Results are private. Enter your registration number and ${data ? data.verify.label : 'PIN'} to see your own record.`}
+      error={loadError}
+      asOf={data?.generatedAt}
+    >
+      {data && !record && (
+        <form onSubmit={handleSubmit} className="glass-panel grid gap-3 p-4 sm:grid-cols-[1fr_1fr_auto] sm:items-end sm:p-5">
+          <label className="flex flex-col gap-1">
+            <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+              Registration number
+            </span>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="username"
+              value={regNo}
+              onChange={(e) => setRegNo(e.target.value)}
+              className={`${inputClass} font-mono`}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+              {data.verify.label}
+            </span>
+            <input
+              type={data.verify.date ? 'date' : 'password'}
+              autoComplete={data.verify.date ? 'bday' : 'current-password'}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={checking || !regNo.trim() || !secret.trim()}
+            className="rounded-xl bg-emerald-500/20 px-4 py-2 text-sm font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+          >
+            {checking ? 'Checking…' : 'View my result'}
+          </button>
+          {lookupError && (
+            <p className="text-xs text-rose-300 sm:col-span-3" role="alert">
+              {lookupError}
+            </p>
+          )}
+        </form>
+      )}
+
+      {record && (
+        <div className="glass-panel space-y-3 p-4 sm:p-5">
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <h2 className="text-lg font-bold text-white">{record.name || 'Your result'}</h2>
+              <p className="text-[11px] font-mono text-slate-400">{record.id}</p>
+            </div>
+            <button
+              type="button"
+              onClick={signOut}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Close
+            </button>
+          </div>
+          {record.terms.map((term) => (
+            <StudentTerm key={term.term} term={term} />
+          ))}
+        </div>
+      )}
+
+      {data && <AggregatesView terms={data.terms} minGroupSize={data.minGroupSize} />}
+    </PortalShell>
+  );
+}
+
+export default PrivatePortal;
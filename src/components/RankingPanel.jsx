@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import { RANKING_METHODS, TIE_BREAKERS } from '../ranking.js';
+
+const inputClass =
+  'w-full rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none';
+
+function RankingPanel({
+  settings,
+  metricOptions,
+  rankingLabel,
+  subjects,
+  hasGrades,
+  hasCredits,
+  hasId,
+  unrankedCount,
+  onChange,
+  onReset,
+}) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(settings);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const updateTieBreaker = (index, patch) => {
+    setDraft((current) => ({
+      ...current,
+      tieBreakers: current.tieBreakers.map((tb, i) => (i === index ? { ...tb, ...patch } : tb)),
+    }));
+  };
+
+  const removeTieBreaker = (index) => {
+    setDraft((current) => ({
+      ...current,
+      tieBreakers: current.tieBreakers.filter((_, i) => i !== index),
+    }));
+  };
+
+  const addTieBreaker = () => {
+    setDraft((current) => ({
+      ...current,
+      tieBreakers: [...current.tieBreakers, { type: 'total' }],
+    }));
+  };
+
+  const tieBreakerOptions = TIE_BREAKERS.filter(
+    (option) =>
+      (option.value !== 'subject' || subjects.length > 0) &&
+      (option.value !== 'id' || hasId),
+  );
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(settings);
+  const method = RANKING_METHODS.find((m) => m.value === settings.method);
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+            Ranking
+          </span>
+          <span className="text-slate-500">
+            {rankingLabel} · {method?.label.split(' ')[0]}
+            {settings.tieBreakers.length > 0 &&
+              ` · ${settings.tieBreakers.length} tie-breaker${settings.tieBreakers.length === 1 ? '' : 's'}`}
+          </span>
+        </button>
+        {unrankedCount > 0 && (
+          <span className="text-slate-500">
+            {unrankedCount} student{unrankedCount === 1 ? '' : 's'} not ranked
+          </span>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="flex flex-col gap-1">
+              <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Rank on</span>
+              <select
+                value={draft.metric || ''}
+                onChange={(e) => setDraft({ ...draft, metric: e.target.value || null })}
+                className={inputClass}
+              >
+                <option value="">Primary metric</option>
+                {metricOptions.map((option) => (
+                  <option key={option.key} value={option.key}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">Method</span>
+              <select
+                value={draft.method}
+                onChange={(e) => setDraft({ ...draft, method: e.target.value })}
+                className={inputClass}
+              >
+                {RANKING_METHODS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="space-y-1.5">
+            <span className="text-[10px] font-bold uppercase tracking-widest text-slate-500">
+              Tie-breakers, in order
+            </span>
+            {draft.tieBreakers.map((tb, index) => (
+              <div key={index} className="grid grid-cols-[auto_1fr_1fr_auto] items-center gap-2">
+                <span className="w-4 text-[10px] font-bold text-sky-400">{index + 1}</span>
+                <select
+                  value={tb.type}
+                  onChange={(e) =>
+                    updateTieBreaker(index, {
+                      type: e.target.value,
+                      key: e.target.value === 'subject' ? subjects[0]?.key : undefined,
+                    })
+                  }
+                  className={inputClass}
+                >
+                  {tieBreakerOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {tb.type === 'subject' ? (
+                  <select
+                    value={tb.key || ''}
+                    onChange={(e) => updateTieBreaker(index, { key: e.target.value })}
+                    className={inputClass}
+                  >
+                    {subjects.map((subject) => (
+                      <option key={subject.key} value={subject.key}>
+                        {subject.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-slate-500">
+                    {tb.type === 'id' ? 'Lower number first' : 'Higher first'}
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeTieBreaker(index)}
+                  className="w-6 rounded-md text-slate-500 hover:text-rose-300"
+                  title="Remove tie-breaker"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4">
+            {hasGrades && (
+              <label className="flex items-center gap-2 text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={draft.excludeFailed}
+                  onChange={(e) => setDraft({ ...draft, excludeFailed: e.target.checked })}
+                  className="accent-emerald-500"
+                />
+                Exclude students with a failed subject
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-slate-300">
+              <span>Minimum credits</span>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={draft.minCredits ?? ''}
+                placeholder="none"
+                onChange={(e) =>
+                  setDraft({ ...draft, minCredits: e.target.value === '' ? null : e.target.value })
+                }
+                className={`${inputClass} !w-20`}
+              />
+            </label>
+            {draft.minCredits != null && !hasCredits && (
+              <span className="font-semibold text-amber-400">
+                ⚠ No credit data in this term, so every student is left unranked.
+              </span>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={addTieBreaker}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Add tie-breaker
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(draft)}
+              disabled={!isDirty}
+              className="rounded-full bg-emerald-500/20 px-3 py-1 text-[10px] font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={onReset}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Reset to defaults
+            </button>
+            <span className="text-slate-500">
+              Ineligible students and missing values are listed without a rank.
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RankingPanel;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+
+const inputClass =
+  'rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none';
+
+function formatCell(value) {
+  return value === '' || value == null ? '—' : String(value);
+}
+
+function formatRank(position) {
+  return position == null ? 'unranked' : `#${position}`;
+}
+
+// Lower position numbers are better, so a drop in the number is a gain.
+function rankTone(position) {
+  if (position.before == null || position.after == null) return 'text-slate-300';
+  return position.after < position.before ? 'text-emerald-400' : 'text-rose-300';
+}
+
+// What changed between the active term and an earlier import of it. `diff`
+// comes from diffTerms(); `baselines` are [{ key, label }], newest first.
+function RevisionPanel({
+  baselines,
+  baselineKey,
+  diff,
+  primaryTextField,
+  idField,
+  metricLabel,
+  onBaselineChange,
+  onSelect,
+}) {
+  const [tab, setTab] = useState('marks');
+
+  const studentLabel = (row) => {
+    const name = primaryTextField ? row[primaryTextField] : '';
+    const id = idField ? row[idField] : '';
+    return [name, id].filter((part) => part !== '' && part != null).join(' · ');
+  };
+
+  const markChanges = diff ? diff.changed.filter((c) => c.marks.length || c.metric) : [];
+  const rankChanges = diff ? diff.changed.filter((c) => c.position) : [];
+  const tabs = [
+    { value: 'marks', label: 'Marks changed', count: markChanges.length },
+    { value: 'rank', label: 'Rank changes', count: rankChanges.length },
+    { value: 'added', label: 'Added', count: diff ? diff.added.length : 0 },
+    { value: 'removed', label: 'Removed', count: diff ? diff.removed.length : 0 },
+  ];
+
+  // Removed students are no longer in the table, so they aren't selectable.
+  const renderStudent = (key, row, selectId, children = null) => (
+    <li key={key} className="rounded-xl bg-slate-900/80 px-3 py-2">
+      {selectId ? (
+        <button
+          type="button"
+          onClick={() => onSelect(selectId)}
+          className="text-left font-medium text-slate-200 hover:text-emerald-300"
+        >
+          {studentLabel(row)}
+        </button>
+      ) : (
+        <span className="font-medium text-slate-400">{studentLabel(row)}</span>
+      )}
+      {children}
+    </li>
+  );
+
+  let items = [];
+  if (diff && tab === 'marks') {
+    items = markChanges.map((change) =>
+      renderStudent(
+        change.id,
+        change.row,
+        change.id,
+        <div className="mt-1 flex flex-wrap gap-1.5">
+          {change.metric && (
+            <span className="rounded-md bg-amber-500/10 px-1.5 py-0.5 text-[10px] text-amber-200">
+              {metricLabel} {formatCell(change.metric.before)} → {formatCell(change.metric.after)}
+            </span>
+          )}
+          {change.marks.map((mark) => (
+            <span key={mark.key} className="rounded-md bg-amber-500/10 px-1.5 py-0.5 text-[10px] text-amber-200">
+              {mark.label} {formatCell(mark.before)} → {formatCell(mark.after)}
+            </span>
+          ))}
+        </div>,
+      ),
+    );
+  } else if (diff && tab === 'rank') {
+    items = rankChanges.map((change) =>
+      renderStudent(
+        change.id,
+        change.row,
+        change.id,
+        <div className={`mt-1 text-[10px] font-semibold ${rankTone(change.position)}`}>
+          {formatRank(change.position.before)} → {formatRank(change.position.after)}
+        </div>,
+      ),
+    );
+  } else if (diff && tab === 'added') {
+    items = diff.added.map((row, index) => renderStudent(index, row, row[idField]));
+  } else if (diff && tab === 'removed') {
+    items = diff.removed.map((row, index) => renderStudent(index, row, null));
+  }
+
+  return (
+    <div className="glass-panel p-4 sm:p-5">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm font-bold text-white">Changes Since Previous File</h2>
+          <p className="mt-0.5 text-[10px] text-slate-500 font-medium">
+            Students matched on registration number.
+          </p>
+        </div>
+        <select
+          value={baselineKey || ''}
+          onChange={(e) => onBaselineChange(e.target.value || null)}
+          className={inputClass}
+          aria-label="Compare with"
+        >
+          {baselines.map((baseline) => (
+            <option key={baseline.key} value={baseline.key}>
+              {baseline.label}
+            </option>
+          ))}
+          <option value="">Off</option>
+        </select>
+      </div>
+
+      {diff && (
+        <>
+          <div className="mt-3 flex flex-wrap gap-1.5">
+            {tabs.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setTab(option.value)}
+                className={`rounded-full px-2.5 py-1 text-[10px] font-bold transition-colors ${tab === option.value
+                  ? 'bg-emerald-500/20 text-emerald-300 ring-1 ring-emerald-400/50'
+                  : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                  }`}
+              >
+                {option.label} {option.count}
+              </button>
+            ))}
+          </div>
+
+          {items.length ? (
+            <ul className="mt-3 max-h-72 space-y-1.5 overflow-y-auto pr-1 text-[11px]">{items}</ul>
+          ) : (
+            <p className="mt-3 text-xs text-slate-400">No differences of this kind.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RevisionPanel;
@@ -0,0 +1,24 @@
+import React from 'react';
+
+const TONE_CLASSES = {
+  rose: 'bg-rose-500/15 text-rose-300 ring-rose-400/40',
+  amber: 'bg-amber-500/15 text-amber-300 ring-amber-400/40',
+  sky: 'bg-sky-500/15 text-sky-300 ring-sky-400/40',
+  violet: 'bg-violet-500/15 text-violet-300 ring-violet-400/40',
+  slate: 'bg-slate-500/20 text-slate-300 ring-slate-400/40',
+};
+
+// Pill for a status code ("Abs", "W", ...) in place of a mark.
+function StatusBadge({ status, count, className = '' }) {
+  return (
+    <span
+      className={`inline-flex items-center gap-1 rounded-md px-1.5 py-0.5 text-[10px] font-bold ring-1 ${TONE_CLASSES[status.tone] || TONE_CLASSES.slate} ${className}`}
+      title={status.label || status.code}
+    >
+      {status.code}
+      {count != null && <span className="font-medium opacity-80">× {count}</span>}
+    </span>
+  );
+}
+
+export default StatusBadge;
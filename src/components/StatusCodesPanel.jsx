@@ -0,0 +1,241 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import StatusBadge from './StatusBadge.jsx';
+import {
+  STATUS_AVERAGE_POLICIES,
+  STATUS_GPA_POLICIES,
+  STATUS_TONES,
+  matchStatusCode,
+} from '../statusCodes.js';
+
+const inputClass =
+  'w-full rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-1 text-[10px] text-slate-200 focus:border-emerald-400 focus:outline-none';
+
+function toDraft(codes) {
+  return codes.map((entry) => ({ ...entry, aliases: entry.aliases.join(', ') }));
+}
+
+function StatusCodesPanel({ codes, rows, columns, onChange, onReset }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft(codes));
+
+  // Edits stay in a draft until applied so detection doesn't re-run per keystroke.
+  useEffect(() => {
+    setDraft(toDraft(codes));
+  }, [codes]);
+
+  // Code usage plus any text the vocabulary doesn't cover yet.
+  const { used, unknown } = useMemo(() => {
+    const usedCounts = new Map();
+    const unknownCounts = new Map();
+    rows.forEach((row) => {
+      columns.forEach((key) => {
+        const raw = row[key];
+        if (typeof raw !== 'string' || !raw.trim() || Number.isFinite(parseFloat(raw))) return;
+        const status = matchStatusCode(codes, raw);
+        if (status) {
+          usedCounts.set(status.code, (usedCounts.get(status.code) || 0) + 1);
+        } else {
+          const token = raw.trim();
+          unknownCounts.set(token, (unknownCounts.get(token) || 0) + 1);
+        }
+      });
+    });
+    return {
+      used: codes
+        .filter((entry) => usedCounts.has(entry.code))
+        .map((entry) => ({ entry, count: usedCounts.get(entry.code) })),
+      unknown: Array.from(unknownCounts, ([token, count]) => ({ token, count })),
+    };
+  }, [rows, columns, codes]);
+
+  const updateCode = (index, field, value) => {
+    setDraft((current) =>
+      current.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)),
+    );
+  };
+
+  const removeCode = (index) => {
+    setDraft((current) => current.filter((_, i) => i !== index));
+  };
+
+  const addCode = (code = '') => {
+    setDraft((current) => [
+      ...current,
+      {
+        code,
+        label: '',
+        aliases: '',
+        gpa: 'fail',
+        average: 'exclude',
+        tone: STATUS_TONES[current.length % STATUS_TONES.length],
+      },
+    ]);
+  };
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(toDraft(codes));
+
+  return (
+    <div className="glass-panel !rounded-2xl px-4 py-3 text-[11px]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-2 text-left"
+        >
+          <svg
+            className={`w-3 h-3 text-slate-400 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M9 5l7 7-7 7" />
+          </svg>
+          <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+            Status Codes
+          </span>
+          <span className="text-slate-500">{codes.length} codes</span>
+        </button>
+        <div className="flex flex-wrap items-center gap-1.5">
+          {used.map(({ entry, count }) => (
+            <StatusBadge key={entry.code} status={entry} count={count} />
+          ))}
+          {unknown.length > 0 && (
+            <span className="font-semibold text-amber-400">
+              ⚠ {unknown.length} unrecognised value{unknown.length === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          {unknown.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5 rounded-xl bg-amber-500/5 px-3 py-2 text-slate-300">
+              <span className="text-amber-300">Not in the vocabulary:</span>
+              {unknown.map(({ token, count }) => (
+                <button
+                  key={token}
+                  type="button"
+                  onClick={() => addCode(token)}
+                  className="rounded-md bg-slate-800 px-1.5 py-0.5 font-mono text-[10px] text-slate-200 hover:bg-slate-700"
+                  title="Add as a status code"
+                >
+                  {token} × {count} +
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-[0.7fr_1fr_1.2fr_1fr_0.9fr_0.8fr_auto] gap-2 text-[10px] font-bold uppercase tracking-widest text-slate-500">
+            <span>Code</span>
+            <span>Meaning</span>
+            <span>Aliases</span>
+            <span>GPA</span>
+            <span>Averages</span>
+            <span>Badge</span>
+            <span className="w-6" />
+          </div>
+          <div className="space-y-1.5">
+            {draft.map((entry, index) => (
+              <div
+                key={index}
+                className="grid grid-cols-[0.7fr_1fr_1.2fr_1fr_0.9fr_0.8fr_auto] items-center gap-2"
+              >
+                <input
+                  type="text"
+                  value={entry.code}
+                  onChange={(e) => updateCode(index, 'code', e.target.value)}
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={entry.label}
+                  onChange={(e) => updateCode(index, 'label', e.target.value)}
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={entry.aliases}
+                  placeholder="comma separated"
+                  onChange={(e) => updateCode(index, 'aliases', e.target.value)}
+                  className={inputClass}
+                />
+                <select
+                  value={entry.gpa}
+                  onChange={(e) => updateCode(index, 'gpa', e.target.value)}
+                  className={inputClass}
+                >
+                  {STATUS_GPA_POLICIES.map((policy) => (
+                    <option key={policy.value} value={policy.value}>
+                      {policy.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={entry.average}
+                  onChange={(e) => updateCode(index, 'average', e.target.value)}
+                  className={inputClass}
+                >
+                  {STATUS_AVERAGE_POLICIES.map((policy) => (
+                    <option key={policy.value} value={policy.value}>
+                      {policy.label}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={entry.tone}
+                  onChange={(e) => updateCode(index, 'tone', e.target.value)}
+                  className={inputClass}
+                >
+                  {STATUS_TONES.map((tone) => (
+                    <option key={tone} value={tone}>
+                      {tone}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => removeCode(index)}
+                  className="w-6 rounded-md text-slate-500 hover:text-rose-300"
+                  title="Remove code"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => addCode()}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Add code
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(draft)}
+              disabled={!isDirty}
+              className="rounded-full bg-emerald-500/20 px-3 py-1 text-[10px] font-bold text-emerald-300 ring-1 ring-emerald-400/50 transition hover:bg-emerald-500/30 disabled:opacity-50"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={onReset}
+              className="rounded-full bg-slate-800 px-3 py-1 text-[10px] font-medium text-slate-300 transition-colors hover:bg-slate-700"
+            >
+              Reset to defaults
+            </button>
+            <span className="text-slate-500">
+              Codes match case-insensitively. Withheld results get no GPA or rank.
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StatusCodesPanel;
@@ -0,0 +1,263 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { buildGradeBreakdown, buildHistogramData } from '../chartData.js';
+import { describe, numericValues } from '../statistics.js';
+import { averageValues, countStatusCodes } from '../statusCodes.js';
+import { chartAxisProps, chartTooltipProps } from '../theme.js';
+import ChartDataTable, { ChartFigure } from './ChartDataTable.jsx';
+import StatusBadge from './StatusBadge.jsx';
+import { useChartPalette } from './ThemeProvider.jsx';
+
+const BIN_OPTIONS = [4, 6, 8, 10, 12, 16, 20];
+const TOP_OPTIONS = [5, 10, 20];
+
+function formatStat(value) {
+  return value == null ? '—' : Number(value.toFixed(2));
+}
+
+function StatTile({ label, value, tone = 'text-white' }) {
+  return (
+    <div className="flex flex-col items-center justify-center rounded-xl bg-slate-950/80 px-2 py-2">
+      <span className="text-[9px] font-bold uppercase tracking-wide text-slate-500">{label}</span>
+      <span className={`text-sm font-black leading-tight ${tone}`}>{value}</span>
+    </div>
+  );
+}
+
+function SubjectAnalyticsPanel({
+  rows,
+  subjects,
+  scale,
+  statusCodes = [],
+  primaryTextField,
+  idField,
+  onSelectRow,
+}) {
+  const [subjectKey, setSubjectKey] = useState(null);
+  const [bins, setBins] = useState(8);
+  const [topCount, setTopCount] = useState(5);
+  const chart = useChartPalette();
+  const tooltipProps = chartTooltipProps(chart);
+  const axisProps = chartAxisProps(chart);
+
+  const subject =
+    subjects.find((s) => s.key === subjectKey) || subjects[0] || null;
+
+  const analytics = useMemo(() => {
+    if (!subject) return null;
+    const key = subject.key;
+    const values = numericValues(rows, key);
+    const statusCounts = countStatusCodes(rows, key, statusCodes);
+    const statusTotal = Object.values(statusCounts).reduce((acc, n) => acc + n, 0);
+    const graded = rows.map((row) => row._grades?.[key]).filter(Boolean);
+    const failed = graded.filter((grade) => grade.failed).length;
+
+    const top = rows
+      .map((row) => {
+        const raw = row[key];
+        const num = typeof raw === 'number' ? raw : parseFloat(raw);
+        return Number.isFinite(num) ? { row, value: num } : null;
+      })
+      .filter(Boolean)
+      // Ties in the subject fall back to overall class position.
+      .sort(
+        (a, b) =>
+          b.value - a.value ||
+          (a.row._position || Infinity) - (b.row._position || Infinity),
+      )
+      .slice(0, topCount);
+
+    return {
+      // Status codes enter the averages only when their policy counts them.
+      stats: describe(averageValues(rows, key, statusCodes)),
+      histogram: buildHistogramData(rows, key, bins),
+      grades: graded.length ? buildGradeBreakdown(rows, key, scale) : [],
+      passed: graded.length ? graded.length - failed : null,
+      failed: graded.length ? failed : null,
+      missing: rows.length - values.length - statusTotal,
+      statuses: statusCodes
+        .filter((entry) => statusCounts[entry.code])
+        .map((entry) => ({ entry, count: statusCounts[entry.code] })),
+      top,
+    };
+  }, [rows, subject, scale, statusCodes, bins, topCount]);
+
+  if (!subject || !analytics) return null;
+
+  return (
+    <div className="glass-panel flex flex-col p-4 sm:p-5 relative overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-4 relative">
+        <div>
+          <h2 className="text-sm font-bold text-white flex items-center gap-2">
+            <svg className="w-4 h-4 text-sky-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+            </svg>
+            Subject Analytics
+          </h2>
+          <p className="mt-0.5 text-[10px] text-slate-500 font-medium">
+            Distribution, grades and toppers for a single subject.
+          </p>
+        </div>
+        <select
+          value={subject.key}
+          onChange={(e) => setSubjectKey(e.target.value)}
+          className="rounded-full border border-slate-700/60 bg-slate-900/80 px-3 py-1 text-[11px] text-slate-200 focus:border-emerald-400 focus:outline-none"
+        >
+          {subjects.map((s) => (
+            <option key={s.key} value={s.key}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mt-4 grid grid-cols-3 gap-2 sm:grid-cols-6">
+        <StatTile label="Mean" value={formatStat(analytics.stats.mean)} tone="text-emerald-400" />
+        <StatTile label="Median" value={formatStat(analytics.stats.median)} />
+        <StatTile label="Std Dev" value={formatStat(analytics.stats.stdDev)} />
+        <StatTile label="Pass" value={analytics.passed ?? '—'} tone="text-emerald-400" />
+        <StatTile label="Fail" value={analytics.failed ?? '—'} tone="text-rose-300" />
+        <StatTile label="Missing" value={analytics.missing} tone="text-amber-300" />
+      </div>
+
+      {analytics.statuses.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-1.5 text-[10px] text-slate-500">
+          <span className="font-medium uppercase tracking-[0.16em]">Status codes</span>
+          {analytics.statuses.map(({ entry, count }) => (
+            <StatusBadge key={entry.code} status={entry} count={count} />
+          ))}
+        </div>
+      )}
+
+      <div className="mt-4">
+        <div className="mb-2 flex items-center justify-between text-[11px] text-slate-400">
+          <span className="font-medium uppercase tracking-[0.16em]">Mark histogram</span>
+          <label className="flex items-center gap-2">
+            <span>Bins</span>
+            <select
+              value={bins}
+              onChange={(e) => setBins(Number(e.target.value))}
+              className="rounded-lg border border-slate-700/60 bg-slate-900 px-2 py-0.5 text-[10px] text-slate-200 focus:outline-none"
+            >
+              {BIN_OPTIONS.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {!analytics.histogram.length ? (
+          <div className="py-6 text-center text-xs text-slate-400">
+            Not enough spread in this subject to draw a histogram.
+          </div>
+        ) : (
+          <>
+            <ChartFigure label={`${subject.label} mark histogram, students per mark range`}>
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={analytics.histogram} accessibilityLayer={false}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} vertical={false} />
+                  <XAxis dataKey="range" {...axisProps} />
+                  <YAxis allowDecimals={false} {...axisProps} />
+                  <Tooltip {...tooltipProps} />
+                  <Bar dataKey="count" name="Students" radius={[6, 6, 2, 2]} fill={chart.secondary} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartFigure>
+            <ChartDataTable
+              caption={`${subject.label} mark histogram`}
+              columns={[
+                { key: 'range', label: 'Marks' },
+                { key: 'count', label: 'Students' },
+              ]}
+              rows={analytics.histogram}
+            />
+          </>
+        )}
+      </div>
+
+      {analytics.grades.length > 0 && (
+        <div className="mt-4">
+          <div className="mb-2 text-[11px] font-medium uppercase tracking-[0.16em] text-slate-400">
+            Letter grades
+          </div>
+          <ChartFigure label={`${subject.label} letter grades, students per grade`}>
+            <ResponsiveContainer width="100%" height={160}>
+              <BarChart data={analytics.grades} accessibilityLayer={false}>
+                <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} vertical={false} />
+                <XAxis dataKey="grade" {...axisProps} />
+                <YAxis allowDecimals={false} {...axisProps} />
+                <Tooltip {...tooltipProps} />
+                <Bar dataKey="count" name="Students" radius={[6, 6, 2, 2]} fill={chart.primary} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartFigure>
+          <ChartDataTable
+            caption={`${subject.label} letter grades`}
+            columns={[
+              { key: 'grade', label: 'Grade' },
+              { key: 'count', label: 'Students' },
+            ]}
+            rows={analytics.grades}
+          />
+        </div>
+      )}
+
+      <div className="mt-4">
+        <div className="mb-2 flex items-center justify-between text-[11px] text-slate-400">
+          <span className="font-medium uppercase tracking-[0.16em]">Top students</span>
+          <div className="flex rounded-lg bg-slate-800/50 p-0.5 border border-white/5">
+            {TOP_OPTIONS.map((n) => (
+              <button
+                key={n}
+                type="button"
+                onClick={() => setTopCount(n)}
+                aria-pressed={topCount === n}
+                className={`px-2 py-0.5 rounded-md text-[10px] font-bold transition-all ${topCount === n ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+              >
+                {n}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ol className="space-y-1.5">
+          {analytics.top.map(({ row, value }, index) => (
+            <li key={index}>
+              <button
+                type="button"
+                onClick={() => onSelectRow(row)}
+                className="flex w-full items-center gap-3 rounded-xl bg-slate-950/80 px-3 py-2 text-left text-xs transition-colors hover:bg-slate-800/80"
+              >
+                <span className="w-5 text-[10px] font-bold text-sky-400">{index + 1}</span>
+                <span className="flex min-w-0 flex-1 flex-col">
+                  <span className="truncate text-[11px] font-semibold text-slate-100">
+                    {primaryTextField ? row[primaryTextField] || '—' : 'Result'}
+                  </span>
+                  {idField && (
+                    <span className="text-[10px] font-mono text-slate-500">{row[idField]}</span>
+                  )}
+                </span>
+                {row._grades?.[subject.key] && (
+                  <span className="rounded-md bg-sky-500/10 px-1.5 py-0.5 text-[10px] font-bold text-sky-300">
+                    {row._grades[subject.key].grade}
+                  </span>
+                )}
+                <span className="text-[11px] font-black text-emerald-400">{value}</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
+
+export default SubjectAnalyticsPanel;
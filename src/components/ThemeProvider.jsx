@@ -0,0 +1,61 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { CHART_PALETTES, applyTheme, loadTheme, resolveTheme, saveTheme } from '../theme.js';
+
+const ThemeContext = createContext({
+  preference: 'system',
+  theme: 'dark',
+  setPreference: () => {},
+});
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+export function useChartPalette() {
+  return CHART_PALETTES[useTheme().theme];
+}
+
+// Holds the saved theme preference and keeps <html data-theme> in sync,
+// following the OS setting while the preference is 'system'. Printing always
+// uses the light theme.
+function ThemeProvider({ children }) {
+  const [preference, setPreferenceState] = useState(loadTheme);
+  const [theme, setTheme] = useState(() => resolveTheme(preference));
+
+  useEffect(() => {
+    const update = () => setTheme(resolveTheme(preference));
+    update();
+    if (preference !== 'system' || !window.matchMedia) return undefined;
+
+    const queries = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].map((query) =>
+      window.matchMedia(query),
+    );
+    queries.forEach((query) => query.addEventListener?.('change', update));
+    return () => queries.forEach((query) => query.removeEventListener?.('change', update));
+  }, [preference]);
+
+  useEffect(() => {
+    applyTheme(theme);
+    const beforePrint = () => applyTheme('light');
+    const afterPrint = () => applyTheme(theme);
+    window.addEventListener('beforeprint', beforePrint);
+    window.addEventListener('afterprint', afterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', beforePrint);
+      window.removeEventListener('afterprint', afterPrint);
+    };
+  }, [theme]);
+
+  const setPreference = (value) => {
+    saveTheme(value);
+    setPreferenceState(value);
+  };
+
+  return (
+    <ThemeContext.Provider value={{ preference, theme, setPreference }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export default ThemeProvider;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { THEMES } from '../theme.js';
+import { useTheme } from './ThemeProvider.jsx';
+
+function ThemeSwitcher() {
+  const { preference, setPreference } = useTheme();
+
+  return (
+    <div
+      role="group"
+      aria-label="Colour theme"
+      className="inline-flex rounded-full bg-slate-800/50 p-0.5 border border-white/5"
+    >
+      {THEMES.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          aria-pressed={preference === option.value}
+          onClick={() => setPreference(option.value)}
+          className={`whitespace-nowrap px-2.5 py-1 rounded-full text-[10px] font-bold transition-all ${preference === option.value ? 'bg-emerald-500/20 text-emerald-400 shadow-sm' : 'text-slate-500 hover:text-slate-400'}`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ThemeSwitcher;
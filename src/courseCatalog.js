@@ -0,0 +1,113 @@
+// Course catalog: credit hours, course type and full marks per subject, for
+// sheets whose headers carry no credit numbers. Subject columns are matched
+// by course code, title or any alias. Stored in localStorage and shared
+// between classmates as a JSON file.
+
+const STORAGE_KEY = 'result-portal:course-catalog';
+const CATALOG_VERSION = 1;
+
+export const COURSE_TYPES = [
+  { value: 'theory', label: 'Theory' },
+  { value: 'lab', label: 'Lab' },
+];
+
+function toNumber(raw) {
+  if (raw === '' || raw == null) return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(num) ? num : null;
+}
+
+function matchKey(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeAliases(aliases) {
+  const list = Array.isArray(aliases) ? aliases : String(aliases ?? '').split(',');
+  return list.map((alias) => String(alias).trim()).filter(Boolean);
+}
+
+export function normalizeCourse(course) {
+  return {
+    code: String(course?.code ?? '').trim(),
+    title: String(course?.title ?? '').trim(),
+    credit: toNumber(course?.credit),
+    type: course?.type === 'lab' ? 'lab' : 'theory',
+    fullMarks: toNumber(course?.fullMarks),
+    aliases: normalizeAliases(course?.aliases),
+  };
+}
+
+export function normalizeCatalog(courses) {
+  return (Array.isArray(courses) ? courses : [])
+    .map(normalizeCourse)
+    .filter((course) => course.code || course.title);
+}
+
+export function matchCourse(catalog, subjectKey) {
+  const key = matchKey(subjectKey);
+  if (!key) return null;
+  return (
+    catalog.find((course) =>
+      [course.code, course.title, ...course.aliases].some(
+        (name) => name && matchKey(name) === key,
+      ),
+    ) || null
+  );
+}
+
+// Catalog values win over credits guessed from header text, which can be
+// fooled by names such as "Math 2".
+export function applyCourseCatalog(subjectFields, catalog) {
+  if (!catalog.length) return subjectFields;
+  return subjectFields.map((subject) => {
+    const course = matchCourse(catalog, subject.key);
+    if (!course) return subject;
+    return {
+      ...subject,
+      credit: course.credit ?? subject.credit,
+      fullMarks: course.fullMarks,
+      courseCode: course.code || null,
+      courseType: course.type,
+    };
+  });
+}
+
+export function parseCatalogJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Catalog file is not valid JSON.');
+  }
+  const courses = Array.isArray(parsed) ? parsed : parsed?.courses;
+  if (!Array.isArray(courses)) {
+    throw new Error('Catalog JSON must be an array of courses or { "courses": [...] }.');
+  }
+  return normalizeCatalog(courses);
+}
+
+export function serializeCatalog(catalog) {
+  return { version: CATALOG_VERSION, courses: normalizeCatalog(catalog) };
+}
+
+export function loadCourseCatalog() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? parseCatalogJson(raw) : [];
+  } catch (e) {
+    console.warn('Could not read saved course catalog.', e);
+    return [];
+  }
+}
+
+export function saveCourseCatalog(catalog) {
+  try {
+    if (catalog.length) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeCatalog(catalog)));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn('Could not save course catalog.', e);
+  }
+}
@@ -0,0 +1,77 @@
+// Persists the most recently uploaded dataset in IndexedDB so it survives a
+// page reload. When nothing is stored the bundled result.xlsx is used. Every
+// distinct imported workbook is also kept as a snapshot for the history view.
+
+const DB_NAME = 'result-portal';
+const DB_VERSION = 2;
+const DATASET_STORE = 'datasets';
+const SNAPSHOT_STORE = 'snapshots';
+const CURRENT_KEY = 'current';
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DATASET_STORE)) {
+        db.createObjectStore(DATASET_STORE);
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runRequest(mode, perform, storeName = DATASET_STORE) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = perform(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function loadStoredDataset() {
+  const dataset = await runRequest('readonly', (store) => store.get(CURRENT_KEY));
+  return dataset || null;
+}
+
+export function saveStoredDataset(dataset) {
+  return runRequest('readwrite', (store) => store.put(dataset, CURRENT_KEY));
+}
+
+export function clearStoredDataset() {
+  return runRequest('readwrite', (store) => store.delete(CURRENT_KEY));
+}
+
+// Oldest first.
+export async function listSnapshots() {
+  const snapshots = await runRequest('readonly', (store) => store.getAll(), SNAPSHOT_STORE);
+  return (snapshots || []).sort((a, b) => String(a.importedAt).localeCompare(String(b.importedAt)));
+}
+
+export function addSnapshot(snapshot) {
+  return runRequest('readwrite', (store) => store.add(snapshot), SNAPSHOT_STORE);
+}
+
+export function deleteSnapshot(id) {
+  return runRequest('readwrite', (store) => store.delete(id), SNAPSHOT_STORE);
+}
+
+export function clearSnapshots() {
+  return runRequest('readwrite', (store) => store.clear(), SNAPSHOT_STORE);
+}
@@ -0,0 +1,36 @@
+// Triggers a browser download for generated files (JSON, spreadsheets, PDFs).
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadJson(data, fileName) {
+  downloadBlob(
+    new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+    fileName,
+  );
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of plain objects; columns: [{ key, label }] in output order.
+export function downloadCsv(rows, columns, fileName) {
+  const lines = [
+    columns.map((column) => csvCell(column.label)).join(','),
+    ...rows.map((row) => columns.map((column) => csvCell(row[column.key])).join(',')),
+  ];
+  // The BOM makes Excel open the file as UTF-8.
+  downloadBlob(
+    new Blob([`\ufeff${lines.join('\r\n')}`], { type: 'text/csv;charset=utf-8' }),
+    fileName,
+  );
+}
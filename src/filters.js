@@ -0,0 +1,152 @@
+// Structured student filters: a list of conditions combined with AND/OR, plus
+// named presets kept in localStorage.
+
+const PRESETS_KEY = 'result-portal:filter-presets';
+
+export const CONDITION_KINDS = [
+  { value: 'metric', label: 'Metric / subject' },
+  { value: 'failed', label: 'Failed subjects' },
+  { value: 'id', label: 'Registration no.' },
+];
+
+export const METRIC_OPERATORS = [
+  { value: 'gte', label: '≥' },
+  { value: 'gt', label: '>' },
+  { value: 'lte', label: '≤' },
+  { value: 'lt', label: '<' },
+  { value: 'eq', label: '=' },
+  { value: 'between', label: 'between' },
+];
+
+export const EMPTY_FILTER = { combinator: 'and', conditions: [] };
+
+function toNumber(raw) {
+  if (raw === '' || raw == null) return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(num) ? num : null;
+}
+
+function compareIds(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Conditions carry an `id` so the builder keeps each row's inputs with its
+// condition when another one is removed. Ids are only unique per session.
+let lastConditionId = 0;
+
+function conditionId() {
+  lastConditionId += 1;
+  return `condition-${lastConditionId}`;
+}
+
+export function newCondition(kind, fields = []) {
+  const id = conditionId();
+  if (kind === 'failed') return { id, kind, value: true };
+  if (kind === 'id') return { id, kind, from: '', to: '' };
+  return { id, kind: 'metric', field: fields[0]?.key || '', op: 'gte', value: '', value2: '' };
+}
+
+// Half-filled conditions are ignored rather than filtering everything out.
+export function isConditionComplete(condition) {
+  if (condition.kind === 'failed') return true;
+  if (condition.kind === 'id') {
+    return String(condition.from).trim() !== '' || String(condition.to).trim() !== '';
+  }
+  if (!condition.field || toNumber(condition.value) == null) return false;
+  return condition.op !== 'between' || toNumber(condition.value2) != null;
+}
+
+function matchesCondition(row, condition, { idField }) {
+  if (condition.kind === 'failed') {
+    const failed = Object.values(row._grades || {}).some((grade) => grade.failed);
+    return failed === Boolean(condition.value);
+  }
+
+  if (condition.kind === 'id') {
+    if (!idField) return false;
+    const id = String(row[idField] ?? '').trim();
+    if (!id) return false;
+    const from = String(condition.from).trim();
+    const to = String(condition.to).trim();
+    return (!from || compareIds(id, from) >= 0) && (!to || compareIds(id, to) <= 0);
+  }
+
+  const num = toNumber(row[condition.field]);
+  if (num == null) return false;
+  const value = toNumber(condition.value);
+  switch (condition.op) {
+    case 'gt':
+      return num > value;
+    case 'lte':
+      return num <= value;
+    case 'lt':
+      return num < value;
+    case 'eq':
+      return num === value;
+    case 'between': {
+      const [low, high] = [value, toNumber(condition.value2)].sort((a, b) => a - b);
+      return num >= low && num <= high;
+    }
+    default:
+      return num >= value;
+  }
+}
+
+export function isFilterActive(filter) {
+  return filter.conditions.some(isConditionComplete);
+}
+
+export function applyFilter(rows, filter, context = {}) {
+  const conditions = filter.conditions.filter(isConditionComplete);
+  if (!conditions.length) return rows;
+  const test = (row) => (condition) => matchesCondition(row, condition, context);
+  return rows.filter((row) =>
+    filter.combinator === 'or' ? conditions.some(test(row)) : conditions.every(test(row)),
+  );
+}
+
+// Short human-readable form, e.g. "CGPA ≥ 3.5" or "Reg 2024331001–2024331050".
+export function describeCondition(condition, labelFor = (key) => key) {
+  if (condition.kind === 'failed') {
+    return condition.value ? 'Failed any subject' : 'Passed every subject';
+  }
+  if (condition.kind === 'id') {
+    const from = String(condition.from).trim();
+    const to = String(condition.to).trim();
+    if (from && to) return `Reg ${from}–${to}`;
+    return from ? `Reg ≥ ${from}` : `Reg ≤ ${to}`;
+  }
+  const label = labelFor(condition.field);
+  if (condition.op === 'between') return `${label} ${condition.value}–${condition.value2}`;
+  const op = METRIC_OPERATORS.find((o) => o.value === condition.op)?.label || '≥';
+  return `${label} ${op} ${condition.value}`;
+}
+
+export function loadFilterPresets() {
+  try {
+    const raw = localStorage.getItem(PRESETS_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(parsed)) return [];
+    // Stored ids may clash with this session's, so every condition gets a new one.
+    return parsed
+      .filter((preset) => preset?.name && Array.isArray(preset.filter?.conditions))
+      .map((preset) => ({
+        ...preset,
+        filter: {
+          ...preset.filter,
+          conditions: preset.filter.conditions.map((condition) => ({ ...condition, id: conditionId() })),
+        },
+      }));
+  } catch (e) {
+    console.warn('Could not read saved filter presets.', e);
+    return [];
+  }
+}
+
+export function saveFilterPresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch (e) {
+    console.warn('Could not save filter presets.', e);
+  }
+}
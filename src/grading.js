@@ -0,0 +1,204 @@
+// Grading engine: maps subject cells to letter grades and grade points using a
+// configurable scale, then computes a credit-weighted GPA per student.
+
+import { matchStatusCode } from './statusCodes.js';
+
+const STORAGE_KEY = 'result-portal:grading-scale';
+
+// SUST undergraduate scale. Marks are percentages of the subject's full marks.
+export const SUST_GRADING_SCALE = {
+  name: 'SUST 4.00',
+  bands: [
+    { minMark: 80, grade: 'A+', point: 4.0 },
+    { minMark: 75, grade: 'A', point: 3.75 },
+    { minMark: 70, grade: 'A-', point: 3.5 },
+    { minMark: 65, grade: 'B+', point: 3.25 },
+    { minMark: 60, grade: 'B', point: 3.0 },
+    { minMark: 55, grade: 'B-', point: 2.75 },
+    { minMark: 50, grade: 'C+', point: 2.5 },
+    { minMark: 45, grade: 'C', point: 2.25 },
+    { minMark: 40, grade: 'C-', point: 2.0 },
+    { minMark: 0, grade: 'F', point: 0 },
+  ],
+  // 'zero': any failed subject makes the GPA 0.00, as published SUST sheets do.
+  // 'include': failed subjects count as 0 points in the weighted average.
+  failPolicy: 'zero',
+  // Largest |sheet CG - computed GPA| still treated as agreement.
+  tolerance: 0.01,
+  defaultFullMarks: 100,
+};
+
+export const FAIL_POLICIES = [
+  { value: 'zero', label: 'Any F gives GPA 0.00' },
+  { value: 'include', label: 'Count F as 0 points' },
+];
+
+function sortBands(bands) {
+  return [...bands].sort((a, b) => b.minMark - a.minMark);
+}
+
+function toNumber(raw) {
+  if (raw === '' || raw == null) return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(num) ? num : null;
+}
+
+export function normalizeScale(scale) {
+  const base = { ...SUST_GRADING_SCALE, ...(scale || {}) };
+  const bands = (Array.isArray(base.bands) ? base.bands : [])
+    .map((band) => ({
+      minMark: toNumber(band.minMark) ?? 0,
+      grade: String(band.grade ?? '').trim() || '?',
+      point: toNumber(band.point) ?? 0,
+    }));
+  return {
+    ...base,
+    bands: sortBands(bands.length ? bands : SUST_GRADING_SCALE.bands),
+    tolerance: toNumber(base.tolerance) ?? SUST_GRADING_SCALE.tolerance,
+    defaultFullMarks:
+      toNumber(base.defaultFullMarks) || SUST_GRADING_SCALE.defaultFullMarks,
+  };
+}
+
+export function maxGradePoint(scale) {
+  return Math.max(...scale.bands.map((band) => band.point));
+}
+
+function failingPoint(scale) {
+  return Math.min(...scale.bands.map((band) => band.point));
+}
+
+export function gradeForPercent(scale, percent) {
+  return (
+    scale.bands.find((band) => percent >= band.minMark) ||
+    scale.bands[scale.bands.length - 1]
+  );
+}
+
+// Sheets that already publish grade points are mapped to the band with the
+// highest point not above the value.
+export function gradeForPoint(scale, point) {
+  const byPoint = [...scale.bands].sort((a, b) => b.point - a.point);
+  return byPoint.find((band) => point >= band.point) || byPoint[byPoint.length - 1];
+}
+
+// A subject whose values never exceed the top grade point is assumed to hold
+// grade points; anything larger is treated as raw marks.
+export function detectSubjectValueType(rows, key, scale) {
+  let max = null;
+  rows.forEach((row) => {
+    const num = toNumber(row[key]);
+    if (num != null && (max == null || num > max)) max = num;
+  });
+  if (max == null) return 'points';
+  return max <= maxGradePoint(scale) ? 'points' : 'marks';
+}
+
+// Status codes come back with their own grade label; only 'fail' codes earn
+// (zero) points.
+function gradeStatus(scale, status, raw) {
+  const failed = status.gpa === 'fail';
+  return {
+    value: raw,
+    grade: status.code,
+    point: failed ? failingPoint(scale) : null,
+    failed,
+    status,
+  };
+}
+
+export function gradeSubjectValue(scale, raw, { valueType, fullMarks }, statusCodes = []) {
+  const status = matchStatusCode(statusCodes, raw);
+  if (status) return gradeStatus(scale, status, raw);
+
+  const num = toNumber(raw);
+  if (num == null) return null;
+
+  if (valueType === 'points') {
+    const band = gradeForPoint(scale, num);
+    return { value: num, grade: band.grade, point: num, failed: num <= failingPoint(scale) };
+  }
+
+  const outOf = fullMarks || scale.defaultFullMarks;
+  const band = gradeForPercent(scale, (num / outOf) * 100);
+  return {
+    value: num,
+    grade: band.grade,
+    point: band.point,
+    failed: band.point <= failingPoint(scale),
+  };
+}
+
+// subjects: [{ key, credit, valueType, fullMarks }]. Subjects without a credit
+// count as 1 so sheets without credit data still get an (unweighted) average.
+export function computeGpa(scale, row, subjects, statusCodes = []) {
+  const grades = {};
+  let weightedSum = 0;
+  let totalCredits = 0;
+  let failed = false;
+  let weighted = false;
+  let withheld = false;
+  let earnedCredits = 0;
+
+  subjects.forEach((subject) => {
+    const graded = gradeSubjectValue(scale, row[subject.key], subject, statusCodes);
+    if (!graded) return;
+    grades[subject.key] = graded;
+    if (graded.status?.gpa === 'withhold') withheld = true;
+    if (graded.point == null) return;
+
+    const credit = subject.credit != null && subject.credit > 0 ? subject.credit : 1;
+    if (subject.credit != null) weighted = true;
+    weightedSum += graded.point * credit;
+    totalCredits += credit;
+    if (graded.failed) failed = true;
+    else earnedCredits += credit;
+  });
+
+  if (!totalCredits || withheld) {
+    return { gpa: null, credits: totalCredits, earnedCredits, failed, weighted, withheld, grades };
+  }
+
+  const gpa = failed && scale.failPolicy === 'zero' ? 0 : weightedSum / totalCredits;
+  return {
+    gpa: Math.round(gpa * 100) / 100,
+    credits: totalCredits,
+    earnedCredits,
+    failed,
+    weighted,
+    withheld,
+    grades,
+  };
+}
+
+export function gpaMismatch(scale, sheetValue, computedGpa) {
+  const sheet = toNumber(sheetValue);
+  if (sheet == null || computedGpa == null) return false;
+  return Math.abs(sheet - computedGpa) > scale.tolerance + 1e-9;
+}
+
+export function loadGradingScale() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeScale(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Could not read saved grading scale.', e);
+    return normalizeScale(null);
+  }
+}
+
+export function saveGradingScale(scale) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scale));
+  } catch (e) {
+    console.warn('Could not save grading scale.', e);
+  }
+}
+
+export function clearGradingScale() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not clear grading scale.', e);
+  }
+}
@@ -0,0 +1,59 @@
+// Result snapshots over time: each imported workbook is stored once (keyed by
+// a content hash) and its terms are laid out on a timeline for trend charts.
+
+// 32-bit FNV-1a; only used to spot identical imports, not for security.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export function termSignature(term) {
+  return hashString(`${term.name}\n${JSON.stringify(term.rows)}`);
+}
+
+export function buildSnapshot({ fileName, loadedAt, terms }) {
+  const snapshotTerms = terms.map((term) => ({
+    name: term.name,
+    signature: termSignature(term),
+    rows: term.rows,
+  }));
+  return {
+    fileName,
+    importedAt: loadedAt || new Date().toISOString(),
+    signature: hashString(snapshotTerms.map((term) => term.signature).join('|')),
+    terms: snapshotTerms,
+  };
+}
+
+export function formatSnapshotDate(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Every distinct term version across snapshots, oldest first. A term that a
+// later workbook repeats unchanged is plotted once, at its first import.
+export function snapshotTimeline(snapshots) {
+  const seen = new Set();
+  const points = [];
+  snapshots.forEach((snapshot) => {
+    snapshot.terms.forEach((term) => {
+      if (seen.has(term.signature)) return;
+      seen.add(term.signature);
+      points.push({
+        key: `${snapshot.id}:${term.name}`,
+        snapshotId: snapshot.id,
+        term: term.name,
+        fileName: snapshot.fileName,
+        importedAt: snapshot.importedAt,
+        label: `${term.name} · ${formatSnapshotDate(snapshot.importedAt)}`,
+        rows: term.rows,
+      });
+    });
+  });
+  return points;
+}
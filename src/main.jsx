@@ -1,11 +1,31 @@
-import React from 'react';
+import React, { Suspense, lazy } from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './App.jsx';
+import ThemeProvider from './components/ThemeProvider.jsx';
+import { registerServiceWorker } from './offline.js';
 import './index.css';
 
+// Set at build time by plugins/resultData.js. The comparison is a constant
+// after `define`, so each build keeps only its own UI's chunk: private and
+// aggregate builds never ship the dashboard.
+const PORTAL_MODE = import.meta.env.RESULT_PORTAL_MODE;
+
+const Portal = lazy(() =>
+  PORTAL_MODE === 'private'
+    ? import('./components/PrivatePortal.jsx')
+    : PORTAL_MODE === 'aggregate'
+      ? import('./components/AggregatePortal.jsx')
+      : import('./App.jsx'),
+);
+
+// The worker only exists in builds (plugins/offlineShell.js).
+if (import.meta.env.PROD) registerServiceWorker();
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <ThemeProvider>
+      <Suspense fallback={null}>
+        <Portal />
+      </Suspense>
+    </ThemeProvider>
   </React.StrictMode>,
 );
-
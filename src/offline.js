@@ -0,0 +1,28 @@
+// Client side of the offline support. The service worker itself is generated
+// at build time by plugins/offlineShell.js.
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((e) => console.warn('Could not register the service worker.', e));
+  });
+}
+
+// Resolves true when the worker answered this page load from its cache
+// (offline or a network timeout), false otherwise or without a worker.
+export function wasServedFromCache(timeout = 1000) {
+  const controller = typeof navigator !== 'undefined' && navigator.serviceWorker?.controller;
+  if (!controller) return Promise.resolve(false);
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(false), timeout);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      resolve(Boolean(e.data));
+    };
+    controller.postMessage({ type: 'served-from-cache' }, [channel.port2]);
+  });
+}
@@ -0,0 +1,209 @@
+// Private publishing mode: each student's record is encrypted with a key
+// derived from their registration number and a verification value (a PIN or
+// date-of-birth column), so the published bundle can't be browsed or scraped.
+// Only suppressed class aggregates are left in the clear. WebCrypto behaves
+// the same in browsers and Node 18+.
+//
+// Limits: PBKDF2 slows guessing but can't make a small secret safe, so a DOB
+// or 4-digit PIN can be brute-forced offline from the bundle. The lookup tag
+// is an unsalted hash of the registration number, which reveals whether a
+// given number is present.
+
+import { DEFAULT_MIN_GROUP_SIZE, buildAggregates } from './aggregates.js';
+import { analysisSettings, analyzeRows, isBlank, listColumns, prettyKey } from './analysis.js';
+
+const ITERATIONS = 100000;
+const VERIFY_FIELD_PATTERN = /\b(pin|passcode|dob)\b|birth/i;
+const DATE_FIELD_PATTERN = /\bdob\b|birth|date/i;
+
+const encoder = new TextEncoder();
+
+function normalizeId(value) {
+  if (value === '' || value == null) return '';
+  return String(value).trim().toLowerCase();
+}
+
+export function detectVerifyField(columns) {
+  return columns.find((key) => VERIFY_FIELD_PATTERN.test(key)) || null;
+}
+
+export function isDateField(key) {
+  return DATE_FIELD_PATTERN.test(key);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Excel serial days, "YYYY-MM-DD" or day-first "DD/MM/YYYY" → "YYYY-MM-DD".
+function toIsoDate(value) {
+  if (typeof value === 'number' && value > 0) {
+    return new Date(Math.round((value - 25569) * 86400000)).toISOString().slice(0, 10);
+  }
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+  return null;
+}
+
+export function normalizeSecret(value, isDate = false) {
+  if (isBlank(value)) return '';
+  if (isDate) return toIsoDate(value) || String(value).trim().toLowerCase();
+  return String(value).trim().toLowerCase();
+}
+
+function toBase64(bytes) {
+  let text = '';
+  bytes.forEach((byte) => {
+    text += String.fromCharCode(byte);
+  });
+  return btoa(text);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+// Records are looked up by a hash of the registration number alone; the
+// verification value only enters the decryption key.
+export async function lookupTag(id) {
+  const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`result-portal:${normalizeId(id)}`));
+  return Array.from(new Uint8Array(hash), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function deriveKey(id, secret, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(`${normalizeId(id)}\n${secret}`),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+export async function sealRecord(id, secret, payload) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(id, secret, salt);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(JSON.stringify(payload)),
+  );
+  return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+// The student's payload, or null when the number or verification value is
+// wrong (AES-GCM rejects a wrong key).
+export async function openRecord(dataset, id, secret) {
+  const record = dataset.records[await lookupTag(id)];
+  if (!record) return null;
+  try {
+    const key = await deriveKey(id, secret, fromBase64(record.salt));
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(record.iv) },
+      key,
+      fromBase64(record.data),
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    return null;
+  }
+}
+
+function studentTerm(term, analysis, row, rankedCount) {
+  const grades = row._grades || {};
+  return {
+    term: term.name,
+    metricField: analysis.rankingField,
+    value: analysis.rankingField ? row[analysis.rankingField] ?? '' : '',
+    position: row._position ?? null,
+    rankedCount,
+    classSize: analysis.rows.length,
+    gpa: row._gpa ?? null,
+    withheld: Boolean(row._withheld),
+    subjects: analysis.subjects
+      .filter((subject) => !isBlank(row[subject.key]))
+      .map((subject) => ({
+        label: subject.label,
+        credit: subject.credit ?? null,
+        value: row[subject.key],
+        grade: grades[subject.key]?.grade ?? null,
+        failed: Boolean(grades[subject.key]?.failed),
+      })),
+  };
+}
+
+// Build-time output for private mode: per-term aggregates plus one sealed
+// record per student. Rows without an ID or verification value are skipped.
+export async function buildPrivateDataset(terms, options = {}) {
+  const settings = analysisSettings(options);
+  const minGroupSize = options.minGroupSize || DEFAULT_MIN_GROUP_SIZE;
+  const verifyField =
+    options.verifyField || detectVerifyField(terms.flatMap((term) => listColumns(term.rows)));
+  if (!verifyField) {
+    throw new Error('Private mode needs a PIN or date-of-birth column; set `verifyField`.');
+  }
+  const isDate = isDateField(verifyField);
+
+  const students = new Map();
+  let skipped = 0;
+  const aggregates = terms.map((term) => {
+    // The verification column must never be treated as a subject or metric.
+    const analysis = analyzeRows(term.rows, {
+      ...settings,
+      mapping: { ...(options.mapping || {}), [verifyField]: 'ignore' },
+    });
+    const rankedCount = analysis.rows.filter((row) => row._position != null).length;
+
+    analysis.rows.forEach((row) => {
+      const id = analysis.idField ? normalizeId(row[analysis.idField]) : '';
+      const secret = normalizeSecret(row[verifyField], isDate);
+      if (!id || !secret) {
+        skipped += 1;
+        return;
+      }
+      if (!students.has(id)) {
+        students.set(id, {
+          id: row[analysis.idField],
+          name: analysis.primaryTextField ? row[analysis.primaryTextField] ?? '' : '',
+          secret,
+          terms: [],
+        });
+      }
+      students.get(id).terms.push(studentTerm(term, analysis, row, rankedCount));
+    });
+
+    return {
+      name: term.name,
+      ...buildAggregates(analysis, { ...settings, minGroupSize }),
+    };
+  });
+
+  const records = {};
+  for (const [id, student] of students) {
+    const { secret, ...payload } = student;
+    records[await lookupTag(id)] = await sealRecord(id, secret, payload);
+  }
+
+  return {
+    version: 1,
+    mode: 'private',
+    generatedAt: new Date().toISOString(),
+    source: options.fileName || null,
+    verify: { label: prettyKey(verifyField), date: isDate },
+    minGroupSize,
+    terms: aggregates,
+    records,
+    skipped,
+  };
+}
@@ -0,0 +1,155 @@
+// Class positions: ranking method, tie-breakers and eligibility rules. Settings
+// are stored in localStorage and apply to every term.
+
+const STORAGE_KEY = 'result-portal:ranking';
+
+export const RANKING_METHODS = [
+  { value: 'competition', label: 'Competition (1, 1, 3)' },
+  { value: 'dense', label: 'Dense (1, 1, 2)' },
+  { value: 'ordinal', label: 'Ordinal (1, 2, 3)' },
+];
+
+export const TIE_BREAKERS = [
+  { value: 'total', label: 'Total marks' },
+  { value: 'subject', label: 'Subject' },
+  { value: 'id', label: 'Registration no.' },
+];
+
+// metric: null ranks on the sheet's primary metric.
+export const DEFAULT_RANKING = {
+  metric: null,
+  method: 'competition',
+  tieBreakers: [],
+  excludeFailed: false,
+  minCredits: null,
+};
+
+function toNumber(raw) {
+  if (raw === '' || raw == null) return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(num) ? num : null;
+}
+
+export function normalizeRanking(settings) {
+  const base = { ...DEFAULT_RANKING, ...(settings || {}) };
+  return {
+    metric: base.metric ? String(base.metric) : null,
+    method: RANKING_METHODS.some((m) => m.value === base.method) ? base.method : 'competition',
+    tieBreakers: (Array.isArray(base.tieBreakers) ? base.tieBreakers : [])
+      .filter((tb) => TIE_BREAKERS.some((t) => t.value === tb?.type))
+      .filter((tb) => tb.type !== 'subject' || tb.key)
+      .map((tb) => (tb.type === 'subject' ? { type: 'subject', key: String(tb.key) } : { type: tb.type })),
+    excludeFailed: Boolean(base.excludeFailed),
+    minCredits: toNumber(base.minCredits),
+  };
+}
+
+// Why a row is left out of the ranking, or null when it is eligible. Under a
+// credit minimum, a row whose credits are unknown can't show it qualifies.
+export function rankingExclusion(row, settings) {
+  if (row._withheld) return 'Result withheld';
+  if (settings.excludeFailed && Object.values(row._grades || {}).some((g) => g.failed)) {
+    return 'Failed a subject';
+  }
+  if (settings.minCredits != null) {
+    if (row._credits == null) return 'Credits unknown';
+    if (row._credits < settings.minCredits) return `Fewer than ${settings.minCredits} credits`;
+  }
+  return null;
+}
+
+function subjectTotal(row, subjects) {
+  let total = 0;
+  subjects.forEach((subject) => {
+    total += toNumber(row[subject.key]) ?? 0;
+  });
+  return total;
+}
+
+// Higher is better for marks; registration numbers sort ascending.
+function tieBreakerComparator(tieBreaker, { idField, subjects }) {
+  if (tieBreaker.type === 'total') {
+    return (a, b) => subjectTotal(b, subjects) - subjectTotal(a, subjects);
+  }
+  if (tieBreaker.type === 'subject') {
+    return (a, b) => (toNumber(b[tieBreaker.key]) ?? -Infinity) - (toNumber(a[tieBreaker.key]) ?? -Infinity);
+  }
+  if (tieBreaker.type === 'id' && idField) {
+    return (a, b) =>
+      String(a[idField] ?? '').localeCompare(String(b[idField] ?? ''), undefined, { numeric: true });
+  }
+  return () => 0;
+}
+
+// Rows without a numeric value in `field` or that fail `isEligible` stay
+// unranked with a null position.
+export function rankRows(rows, field, options = {}) {
+  if (!rows.length || !field) return rows;
+  const {
+    method = 'competition',
+    tieBreakers = [],
+    isEligible = () => true,
+    idField = null,
+    subjects = [],
+  } = options;
+
+  const entries = [];
+  rows.forEach((row, index) => {
+    const val = toNumber(row[field]);
+    if (val != null && isEligible(row)) entries.push({ row, val, index });
+  });
+
+  const breakers = tieBreakers.map((tb) => tieBreakerComparator(tb, { idField, subjects }));
+  const compareTies = (a, b) => {
+    for (const compare of breakers) {
+      const diff = compare(a.row, b.row);
+      if (diff) return diff;
+    }
+    return 0;
+  };
+  entries.sort((a, b) => b.val - a.val || compareTies(a, b) || a.index - b.index);
+
+  const rankMap = new Map();
+  let currentRank = 0;
+  let distinct = 0;
+  entries.forEach((entry, i) => {
+    const prev = entries[i - 1];
+    const tied = prev && prev.val === entry.val && compareTies(prev, entry) === 0;
+    if (!tied) distinct += 1;
+    if (method === 'ordinal') currentRank = i + 1;
+    else if (method === 'dense') currentRank = distinct;
+    else if (!tied) currentRank = i + 1;
+    rankMap.set(entry.index, currentRank);
+  });
+
+  return rows.map((row, index) => ({
+    ...row,
+    _position: rankMap.get(index) || null,
+  }));
+}
+
+export function loadRankingSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeRanking(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Could not read saved ranking settings.', e);
+    return normalizeRanking(null);
+  }
+}
+
+export function saveRankingSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save ranking settings.', e);
+  }
+}
+
+export function clearRankingSettings() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not clear ranking settings.', e);
+  }
+}
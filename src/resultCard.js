@@ -0,0 +1,295 @@
+// Builds printable per-student result cards as a PDF, entirely in the browser.
+// jsPDF is loaded on demand so it stays out of the main bundle.
+
+import { downloadBlob } from './download.js';
+
+const PAGE_WIDTH = 210;
+const MARGIN = 16;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+// Lowest y content may reach; the footer rule sits at 282.
+const CONTENT_BOTTOM = 277;
+
+const COLORS = {
+  ink: [15, 23, 42],
+  muted: [100, 116, 139],
+  rule: [226, 232, 240],
+  accent: [16, 185, 129],
+  accentSoft: [209, 250, 229],
+  sky: [14, 165, 233],
+  fail: [225, 29, 72],
+};
+
+function formatValue(value, digits) {
+  if (value === '' || value == null) return '—';
+  if (typeof value === 'number' && digits != null) return value.toFixed(digits);
+  return String(value);
+}
+
+function setColor(doc, kind, color) {
+  if (kind === 'text') doc.setTextColor(...color);
+  else if (kind === 'fill') doc.setFillColor(...color);
+  else doc.setDrawColor(...color);
+}
+
+function drawHeader(doc, options) {
+  setColor(doc, 'fill', COLORS.ink);
+  doc.rect(0, 0, PAGE_WIDTH, 30, 'F');
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(8);
+  setColor(doc, 'text', COLORS.accentSoft);
+  doc.text(options.institution.toUpperCase(), MARGIN, 11);
+
+  doc.setFontSize(18);
+  doc.setTextColor(255, 255, 255);
+  doc.text('Result Card', MARGIN, 21);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(203, 213, 225);
+  const right = PAGE_WIDTH - MARGIN;
+  if (options.term) doc.text(`Term ${options.term}`, right, 14, { align: 'right' });
+  doc.text(`Generated ${options.generatedAt}`, right, 21, { align: 'right' });
+}
+
+// Long subject lists continue on a new page instead of running into the
+// footer. Returns the y to keep drawing at: unchanged when `height` still fits.
+function ensureSpace(doc, y, height, page) {
+  if (y + height <= CONTENT_BOTTOM) return y;
+  drawFooter(doc, page.options);
+  doc.addPage();
+  drawHeader(doc, page.options);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  setColor(doc, 'text', COLORS.muted);
+  doc.text(`${page.card.name || 'Unnamed student'} (continued)`, MARGIN, 40);
+  return 48;
+}
+
+function drawStat(doc, x, y, width, label, value, highlight) {
+  setColor(doc, 'fill', highlight ? COLORS.accentSoft : [241, 245, 249]);
+  doc.roundedRect(x, y, width, 17, 2, 2, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(6.5);
+  setColor(doc, 'text', COLORS.muted);
+  doc.text(label.toUpperCase(), x + width / 2, y + 6, { align: 'center' });
+  doc.setFontSize(13);
+  setColor(doc, 'text', COLORS.ink);
+  doc.text(value, x + width / 2, y + 13.5, { align: 'center' });
+}
+
+function drawIdentity(doc, card, y) {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(15);
+  setColor(doc, 'text', COLORS.ink);
+  doc.text(card.name || 'Unnamed student', MARGIN, y);
+
+  if (card.id) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    setColor(doc, 'text', COLORS.muted);
+    doc.text(`Registration No.  ${card.id}`, MARGIN, y + 6);
+  }
+
+  const stats = [];
+  if (card.metricLabel) {
+    stats.push({ label: card.metricLabel, value: formatValue(card.metricValue), highlight: true });
+  }
+  if (card.gpa != null) {
+    // Without credits the GPA is a plain average of grade points; say so
+    // rather than print it beside the sheet's weighted CGPA as its equal.
+    stats.push({
+      label: card.gpaWeighted ? 'Computed GPA' : 'Unweighted GPA',
+      value: formatValue(card.gpa, 2),
+    });
+  }
+  if (card.credits) {
+    stats.push({ label: 'Credits', value: formatValue(card.credits) });
+  }
+  stats.push({
+    label: 'Class position',
+    value: card.position != null ? `#${card.position} / ${card.classSize}` : '—',
+  });
+
+  const gap = 3;
+  const width = (CONTENT_WIDTH - gap * (stats.length - 1)) / stats.length;
+  stats.forEach((stat, index) => {
+    drawStat(doc, MARGIN + index * (width + gap), y + 11, width, stat.label, stat.value, stat.highlight);
+  });
+
+  return y + 11 + 17;
+}
+
+const TABLE_COLUMNS = [
+  { key: 'code', label: 'Code', width: 24 },
+  { key: 'label', label: 'Subject', width: 70 },
+  { key: 'credit', label: 'Credit', width: 20, align: 'right' },
+  { key: 'mark', label: 'Mark', width: 22, align: 'right' },
+  { key: 'grade', label: 'Grade', width: 20, align: 'center' },
+  { key: 'point', label: 'Point', width: 22, align: 'right' },
+];
+
+const TABLE_ROW_HEIGHT = 7;
+
+function cellX(column, x) {
+  if (column.align === 'right') return x + column.width - 2;
+  if (column.align === 'center') return x + column.width / 2;
+  return x + 2;
+}
+
+function drawTableHead(doc, y) {
+  setColor(doc, 'fill', COLORS.ink);
+  doc.rect(MARGIN, y, CONTENT_WIDTH, TABLE_ROW_HEIGHT, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(7);
+  doc.setTextColor(255, 255, 255);
+
+  let x = MARGIN;
+  TABLE_COLUMNS.forEach((column) => {
+    doc.text(column.label.toUpperCase(), cellX(column, x), y + 4.7, { align: column.align || 'left' });
+    x += column.width;
+  });
+  return y + TABLE_ROW_HEIGHT;
+}
+
+function drawSubjectTable(doc, subjects, y, page) {
+  // Keep the title with the head and at least one row.
+  y = ensureSpace(doc, y, 4 + TABLE_ROW_HEIGHT * 2, page);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  setColor(doc, 'text', COLORS.ink);
+  doc.text('Subject-wise performance', MARGIN, y);
+  y = drawTableHead(doc, y + 4);
+
+  subjects.forEach((subject, index) => {
+    const next = ensureSpace(doc, y, TABLE_ROW_HEIGHT, page);
+    // The head repeats at the top of a continuation page.
+    if (next !== y) y = drawTableHead(doc, next);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    if (index % 2 === 1) {
+      doc.setFillColor(248, 250, 252);
+      doc.rect(MARGIN, y, CONTENT_WIDTH, TABLE_ROW_HEIGHT, 'F');
+    }
+    const values = {
+      code: subject.code || '—',
+      label: subject.label,
+      credit: formatValue(subject.credit),
+      mark: formatValue(subject.mark),
+      grade: subject.grade || '—',
+      point: formatValue(subject.point, 2),
+    };
+    let x = MARGIN;
+    TABLE_COLUMNS.forEach((column) => {
+      const failed = subject.failed && (column.key === 'grade' || column.key === 'point');
+      setColor(doc, 'text', failed ? COLORS.fail : COLORS.ink);
+      doc.text(values[column.key], cellX(column, x), y + 4.8, { align: column.align || 'left' });
+      x += column.width;
+    });
+    y += TABLE_ROW_HEIGHT;
+  });
+
+  setColor(doc, 'draw', COLORS.rule);
+  doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y);
+  return y;
+}
+
+// Horizontal bars keep long subject names readable without rotated labels.
+function drawSubjectChart(doc, subjects, y, page) {
+  const plotted = subjects.filter((subject) => typeof subject.mark === 'number');
+  if (!plotted.length) return y;
+
+  const labelWidth = 40;
+  const barArea = CONTENT_WIDTH - labelWidth - 14;
+  const barHeight = 4.5;
+  const gap = 2.5;
+
+  y = ensureSpace(doc, y, 5 + barHeight, page);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  setColor(doc, 'text', COLORS.ink);
+  doc.text('Subject overview', MARGIN, y);
+  y += 5;
+
+  plotted.forEach((subject) => {
+    const max = subject.max || Math.max(...plotted.map((s) => s.mark), 1);
+    const ratio = Math.max(0, Math.min(1, subject.mark / max));
+
+    y = ensureSpace(doc, y, barHeight, page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7.5);
+    setColor(doc, 'text', COLORS.muted);
+    doc.text(doc.splitTextToSize(subject.label, labelWidth - 2)[0], MARGIN, y + 3.4);
+
+    doc.setFillColor(241, 245, 249);
+    doc.roundedRect(MARGIN + labelWidth, y, barArea, barHeight, 1, 1, 'F');
+    if (ratio > 0) {
+      setColor(doc, 'fill', subject.failed ? COLORS.fail : COLORS.sky);
+      doc.roundedRect(MARGIN + labelWidth, y, Math.max(1.5, barArea * ratio), barHeight, 1, 1, 'F');
+    }
+
+    doc.setFont('helvetica', 'bold');
+    setColor(doc, 'text', COLORS.ink);
+    doc.text(formatValue(subject.mark), MARGIN + labelWidth + barArea + 2, y + 3.4);
+    y += barHeight + gap;
+  });
+
+  return y;
+}
+
+function drawFooter(doc, options) {
+  const y = 287;
+  setColor(doc, 'draw', COLORS.rule);
+  doc.line(MARGIN, y - 5, PAGE_WIDTH - MARGIN, y - 5);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  setColor(doc, 'text', COLORS.muted);
+  doc.text(
+    `Unofficial copy generated by Result Portal${options.sourceName ? ` from ${options.sourceName}` : ''}.`,
+    MARGIN,
+    y,
+  );
+}
+
+function drawCard(doc, card, options) {
+  const page = { card, options };
+  drawHeader(doc, options);
+  let y = drawIdentity(doc, card, 44);
+  y = drawSubjectTable(doc, card.subjects, y + 10, page);
+  drawSubjectChart(doc, card.subjects, y + 10, page);
+  drawFooter(doc, options);
+}
+
+function safeFileName(value) {
+  return String(value || 'result-card')
+    .trim()
+    .replace(/[^a-z0-9-_]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase() || 'result-card';
+}
+
+// cards: [{ name, id, metricLabel, metricValue, gpa, gpaWeighted, credits,
+// position, classSize, subjects: [{ label, code, credit, mark, max, grade,
+// point, failed }] }]
+export async function exportResultCards(cards, options = {}) {
+  if (!cards.length) return;
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageOptions = {
+    institution: options.institution || 'Result Portal',
+    term: options.term || null,
+    sourceName: options.sourceName || null,
+    generatedAt: new Date().toLocaleDateString(undefined, { dateStyle: 'medium' }),
+  };
+
+  cards.forEach((card, index) => {
+    if (index > 0) doc.addPage();
+    drawCard(doc, card, pageOptions);
+  });
+
+  const fileName =
+    cards.length === 1
+      ? `${safeFileName(cards[0].id || cards[0].name)}-result-card.pdf`
+      : `${safeFileName(options.term ? `result-cards-${options.term}` : 'result-cards')}.pdf`;
+  downloadBlob(doc.output('blob'), fileName);
+}
@@ -0,0 +1,74 @@
+// Differences between two versions of the same term (e.g. a re-issued sheet
+// after re-evaluation), matched on the ID column.
+
+function normalizeId(value) {
+  if (value === '' || value == null) return '';
+  return String(value).trim().toLowerCase();
+}
+
+// 72 and "72.0" are the same mark; other cells compare as trimmed text.
+function sameValue(a, b) {
+  const numA = typeof a === 'number' ? a : parseFloat(a);
+  const numB = typeof b === 'number' ? b : parseFloat(b);
+  if (Number.isFinite(numA) && Number.isFinite(numB) && String(a).trim() !== '' && String(b).trim() !== '') {
+    return numA === numB;
+  }
+  return String(a ?? '').trim() === String(b ?? '').trim();
+}
+
+function indexById(rows, idField) {
+  const map = new Map();
+  if (!idField) return map;
+  rows.forEach((row) => {
+    const id = normalizeId(row[idField]);
+    if (id && !map.has(id)) map.set(id, row);
+  });
+  return map;
+}
+
+// `previous` and `current` are analysed terms ({ rows, idField, metricField })
+// whose rows carry `_position`. Returns { added, removed, changed } where each
+// changed entry is { id, row, marks: [{ key, label, before, after }],
+// metric, position } and metric/position are { before, after } or null.
+export function diffTerms({ previous, current, subjects }) {
+  const before = indexById(previous.rows, previous.idField);
+  const after = indexById(current.rows, current.idField);
+
+  const added = [];
+  const changed = [];
+  after.forEach((row, id) => {
+    const old = before.get(id);
+    if (!old) {
+      added.push(row);
+      return;
+    }
+
+    const marks = subjects
+      .filter((subject) => !sameValue(old[subject.key], row[subject.key]))
+      .map((subject) => ({
+        key: subject.key,
+        label: subject.label,
+        before: old[subject.key] ?? '',
+        after: row[subject.key] ?? '',
+      }));
+    const metric =
+      current.metricField && !sameValue(old[previous.metricField], row[current.metricField])
+        ? { before: old[previous.metricField] ?? '', after: row[current.metricField] ?? '' }
+        : null;
+    const position =
+      (old._position ?? null) !== (row._position ?? null)
+        ? { before: old._position ?? null, after: row._position ?? null }
+        : null;
+
+    if (marks.length || metric || position) {
+      changed.push({ id, row, marks, metric, position });
+    }
+  });
+
+  const removed = [];
+  before.forEach((row, id) => {
+    if (!after.has(id)) removed.push(row);
+  });
+
+  return { added, removed, changed };
+}
@@ -0,0 +1,179 @@
+// Tokenised fuzzy search over the name and ID fields. Every query token must
+// match; `reg:`/`id:` and `name:` prefixes scope a token to one field. Matches
+// carry [start, end) character ranges for highlighting.
+
+const SCOPE_PREFIXES = {
+  reg: 'id',
+  id: 'id',
+  roll: 'id',
+  name: 'name',
+};
+
+export function parseQuery(query) {
+  const tokens = [];
+  let pendingScope = null;
+  String(query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((part) => {
+      const match = part.match(/^([a-z]+):(.*)$/);
+      if (match && SCOPE_PREFIXES[match[1]]) {
+        const scope = SCOPE_PREFIXES[match[1]];
+        if (match[2]) tokens.push({ scope, text: match[2] });
+        else pendingScope = scope;
+        return;
+      }
+      tokens.push({ scope: pendingScope || 'any', text: part });
+      pendingScope = null;
+    });
+
+  return tokens
+    .map((token) => ({ ...token, text: token.text.replace(/[^a-z0-9]/g, '') }))
+    .filter((token) => token.text);
+}
+
+function indexText(value) {
+  const text = String(value ?? '');
+  const lower = text.toLowerCase();
+  const words = [];
+  const compactMap = [];
+  let compact = '';
+  let wordStart = -1;
+
+  for (let i = 0; i <= lower.length; i += 1) {
+    const isAlnum = i < lower.length && /[a-z0-9]/.test(lower[i]);
+    if (isAlnum) {
+      compact += lower[i];
+      compactMap.push(i);
+      if (wordStart < 0) wordStart = i;
+    } else if (wordStart >= 0) {
+      words.push({ text: lower.slice(wordStart, i), start: wordStart, end: i });
+      wordStart = -1;
+    }
+  }
+  return { words, compact, compactMap };
+}
+
+// Optimal string alignment distance, capped: returns max + 1 once exceeded.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(token) {
+  if (token.length >= 7) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+function compactRange(index, start, length) {
+  return [index.compactMap[start], index.compactMap[start + length - 1] + 1];
+}
+
+// Best match of one token in one field, or null. Higher scores rank first.
+function matchToken(token, index, kind) {
+  if (kind === 'id') {
+    // Very short tokens only match the start or end ("08" finds roll ...008).
+    const { compact } = index;
+    let at = compact.indexOf(token);
+    if (token.length < 3 && at > 0) {
+      at = compact.endsWith(token) ? compact.length - token.length : -1;
+    }
+    if (at < 0) return null;
+    const score = at === 0 || at + token.length === compact.length ? 4 : 3;
+    return { score, range: compactRange(index, at, token.length) };
+  }
+
+  // Digits never match names, so "3" doesn't hit grade-like text.
+  if (/^\d+$/.test(token)) return null;
+
+  for (const word of index.words) {
+    if (word.text.startsWith(token)) {
+      return {
+        score: word.text === token ? 5 : 4,
+        range: [word.start, word.start + token.length],
+      };
+    }
+  }
+
+  // Spacing differences: "nasimulbari" or "bari naf" inside the joined name.
+  const at = index.compact.indexOf(token);
+  if (at >= 0) return { score: 3, range: compactRange(index, at, token.length) };
+
+  const max = allowedTypos(token);
+  if (!max) return null;
+  let best = null;
+  index.words.forEach((word) => {
+    const prefix = word.text.slice(0, token.length);
+    const distance = Math.min(
+      editDistance(token, word.text, max),
+      editDistance(token, prefix, max),
+    );
+    if (distance <= max && (!best || distance < best.distance)) {
+      best = { distance, range: [word.start, word.end] };
+    }
+  });
+  return best ? { score: 2 - best.distance / (max + 1), range: best.range } : null;
+}
+
+// Returns [{ row, score, highlights: { [field]: [[start, end], ...] } }] for
+// rows matching every token, best first (ties keep the input order).
+export function searchRows(rows, query, { nameField, idField, fallbackFields = [] }) {
+  const tokens = parseQuery(query);
+  if (!tokens.length) return [];
+
+  const fields = [
+    nameField && { key: nameField, kind: 'name' },
+    idField && { key: idField, kind: 'id' },
+  ].filter(Boolean);
+  // Sheets without name/ID columns search every column like a name.
+  if (!fields.length) {
+    fallbackFields.forEach((key) => fields.push({ key, kind: 'name' }));
+  }
+
+  const results = [];
+  rows.forEach((row, order) => {
+    const indexes = fields.map((field) => ({ field, index: indexText(row[field.key]) }));
+    const highlights = {};
+    let score = 0;
+
+    const matchedAll = tokens.every((token) => {
+      let best = null;
+      indexes.forEach(({ field, index }) => {
+        if (token.scope !== 'any' && token.scope !== field.kind) return;
+        const match = matchToken(token.text, index, field.kind);
+        if (match && (!best || match.score > best.match.score)) best = { field, match };
+      });
+      if (!best) return false;
+      score += best.match.score;
+      if (!highlights[best.field.key]) highlights[best.field.key] = [];
+      highlights[best.field.key].push(best.match.range);
+      return true;
+    });
+
+    if (matchedAll) results.push({ row, score, highlights, order });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ row, score, highlights }) => ({ row, score, highlights }));
+}
@@ -0,0 +1,74 @@
+// Descriptive statistics shared by the summary panels, exports and analytics.
+
+export function numericValues(rows, field) {
+  const values = [];
+  rows.forEach((row) => {
+    const raw = row[field];
+    if (raw === '' || raw == null) return;
+    const num = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (Number.isFinite(num)) values.push(num);
+  });
+  return values;
+}
+
+export function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+}
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Population standard deviation: the class is the whole population.
+export function stdDev(values) {
+  const avg = mean(values);
+  if (avg == null) return null;
+  const variance =
+    values.reduce((acc, v) => acc + (v - avg) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+export function describe(values) {
+  if (!values.length) {
+    return { count: 0, mean: null, median: null, stdDev: null, min: null, max: null };
+  }
+  return {
+    count: values.length,
+    mean: mean(values),
+    median: median(values),
+    stdDev: stdDev(values),
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
+
+// Share of the class scoring below `value`, counting ties as half, in 0–100.
+export function percentileRank(values, value) {
+  if (!values.length || value == null) return null;
+  let below = 0;
+  let equal = 0;
+  values.forEach((v) => {
+    if (v < value) below += 1;
+    else if (v === value) equal += 1;
+  });
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+// Standard deviations from the class mean; null when every value is the same.
+export function zScore(stats, value) {
+  if (value == null || stats.mean == null || !stats.stdDev) return null;
+  return (value - stats.mean) / stats.stdDev;
+}
+
+// Position-based band for "top X%" badges: the smallest tier that contains it.
+const TOP_TIERS = [1, 5, 10, 25, 50];
+
+export function topPercentTier(position, rankedCount) {
+  if (position == null || !rankedCount) return null;
+  const share = (position / rankedCount) * 100;
+  return TOP_TIERS.find((tier) => share <= tier) ?? null;
+}
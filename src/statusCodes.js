@@ -0,0 +1,131 @@
+// Non-numeric markers that result sheets put in subject cells instead of a
+// mark ("Abs", "F", "I", "W", "Ret", ...). Each code carries the policy that
+// decides how it affects the GPA and subject averages.
+
+const STORAGE_KEY = 'result-portal:status-codes';
+
+// 'fail': counts as an F (0 points, triggers the scale's fail policy).
+// 'exclude': the subject is left out of the GPA and its credits.
+// 'withhold': no GPA can be computed and the student is not ranked.
+export const STATUS_GPA_POLICIES = [
+  { value: 'fail', label: 'Counts as F' },
+  { value: 'exclude', label: 'Skip subject' },
+  { value: 'withhold', label: 'Withhold GPA' },
+];
+
+export const STATUS_AVERAGE_POLICIES = [
+  { value: 'exclude', label: 'Excluded' },
+  { value: 'zero', label: 'Counted as 0' },
+];
+
+export const STATUS_TONES = ['rose', 'amber', 'sky', 'violet', 'slate'];
+
+export const DEFAULT_STATUS_CODES = [
+  { code: 'Abs', label: 'Absent', aliases: ['AB', 'Absent'], gpa: 'fail', average: 'exclude', tone: 'amber' },
+  { code: 'F', label: 'Failed', aliases: ['Fail'], gpa: 'fail', average: 'zero', tone: 'rose' },
+  { code: 'I', label: 'Incomplete', aliases: ['Inc'], gpa: 'withhold', average: 'exclude', tone: 'violet' },
+  { code: 'W', label: 'Withdrawn', aliases: ['WD'], gpa: 'exclude', average: 'exclude', tone: 'slate' },
+  { code: 'Ret', label: 'Retake', aliases: ['R', 'Retake'], gpa: 'fail', average: 'exclude', tone: 'sky' },
+];
+
+function normalizeToken(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function pick(value, options, fallback) {
+  return options.some((option) => (option.value ?? option) === value) ? value : fallback;
+}
+
+export function normalizeStatusCodes(codes) {
+  const list = Array.isArray(codes) ? codes : DEFAULT_STATUS_CODES;
+  const seen = new Set();
+  return list
+    .map((entry, index) => ({
+      code: String(entry?.code ?? '').trim(),
+      label: String(entry?.label ?? '').trim(),
+      aliases: (Array.isArray(entry?.aliases)
+        ? entry.aliases
+        : String(entry?.aliases ?? '').split(',')
+      )
+        .map((alias) => String(alias).trim())
+        .filter(Boolean),
+      gpa: pick(entry?.gpa, STATUS_GPA_POLICIES, 'fail'),
+      average: pick(entry?.average, STATUS_AVERAGE_POLICIES, 'exclude'),
+      tone: pick(entry?.tone, STATUS_TONES, STATUS_TONES[index % STATUS_TONES.length]),
+    }))
+    .filter((entry) => {
+      // Numeric-looking codes would shadow real marks.
+      const token = normalizeToken(entry.code);
+      if (!token || seen.has(token) || Number.isFinite(parseFloat(entry.code))) return false;
+      seen.add(token);
+      return true;
+    });
+}
+
+// Returns the vocabulary entry for a cell value, or null for marks and blanks.
+export function matchStatusCode(codes, raw) {
+  if (raw == null || typeof raw === 'number') return null;
+  const token = normalizeToken(raw);
+  if (!token) return null;
+  return (
+    codes.find(
+      (entry) =>
+        normalizeToken(entry.code) === token ||
+        entry.aliases.some((alias) => normalizeToken(alias) === token),
+    ) || null
+  );
+}
+
+// Values that enter subject averages: marks, plus 0 for codes whose policy
+// counts them.
+export function averageValues(rows, key, codes) {
+  const values = [];
+  rows.forEach((row) => {
+    const raw = row[key];
+    if (raw === '' || raw == null) return;
+    const num = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (Number.isFinite(num)) {
+      values.push(num);
+      return;
+    }
+    const status = matchStatusCode(codes, raw);
+    if (status?.average === 'zero') values.push(0);
+  });
+  return values;
+}
+
+// { code: count } of status codes found in one subject column.
+export function countStatusCodes(rows, key, codes) {
+  const counts = {};
+  rows.forEach((row) => {
+    const status = matchStatusCode(codes, row[key]);
+    if (status) counts[status.code] = (counts[status.code] || 0) + 1;
+  });
+  return counts;
+}
+
+export function loadStatusCodes() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeStatusCodes(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Could not read saved status codes.', e);
+    return normalizeStatusCodes(null);
+  }
+}
+
+export function saveStatusCodes(codes) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(codes));
+  } catch (e) {
+    console.warn('Could not save status codes.', e);
+  }
+}
+
+export function clearStatusCodes() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not clear status codes.', e);
+  }
+}
@@ -0,0 +1,123 @@
+// Writes the current filtered/sorted student table, with computed columns, to
+// .xlsx (table + class summary sheets) or .csv (table only) through SheetJS.
+
+import { downloadBlob } from './download.js';
+import { describe, numericValues, percentileRank } from './statistics.js';
+import { averageValues } from './statusCodes.js';
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return '';
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function buildTableRows({ rows, classRows, columns, subjects, metricField }) {
+  const metricValues = metricField ? numericValues(classRows, metricField) : [];
+  const hasGpa = rows.some((row) => row._gpa != null);
+
+  return rows.map((row) => {
+    const out = {};
+    columns.forEach((key) => {
+      out[key] = row[key];
+    });
+
+    out.Position = row._position ?? '';
+    if (hasGpa) out['Computed GPA'] = row._gpa ?? '';
+
+    if (metricField) {
+      const raw = row[metricField];
+      const num = typeof raw === 'number' ? raw : parseFloat(raw);
+      out.Percentile = Number.isFinite(num) ? round(percentileRank(metricValues, num), 1) : '';
+    }
+
+    subjects.forEach((subject) => {
+      const grade = row._grades?.[subject.key];
+      if (grade) out[`${subject.label} Grade`] = grade.grade;
+    });
+    return out;
+  });
+}
+
+function summaryRow(label, stats) {
+  return [
+    label,
+    stats.count,
+    round(stats.mean),
+    round(stats.median),
+    round(stats.stdDev),
+    round(stats.max),
+    round(stats.min),
+  ];
+}
+
+function buildSummarySheet({ rows, classRows, subjects, statusCodes = [], metricField, metricLabel, meta }) {
+  const aoa = [
+    ['Class summary'],
+    ['Source', meta.sourceName || ''],
+    ['Term', meta.term || ''],
+    ['Exported at', new Date().toLocaleString()],
+    ['Rows exported', `${rows.length} of ${classRows.length}`],
+    [],
+    ['Metric', 'Students', 'Average', 'Median', 'Std Dev', 'Max', 'Min'],
+  ];
+
+  if (metricField) {
+    aoa.push(summaryRow(metricLabel, describe(numericValues(classRows, metricField))));
+  }
+  if (classRows.some((row) => row._gpa != null)) {
+    aoa.push(summaryRow('Computed GPA', describe(numericValues(classRows, '_gpa'))));
+  }
+  subjects.forEach((subject) => {
+    aoa.push(summaryRow(subject.label, describe(averageValues(classRows, subject.key, statusCodes))));
+  });
+
+  const graded = subjects.filter((subject) =>
+    classRows.some((row) => row._grades?.[subject.key]),
+  );
+  if (graded.length) {
+    aoa.push([], ['Subject', 'Graded', 'Passed', 'Failed']);
+    graded.forEach((subject) => {
+      const grades = classRows
+        .map((row) => row._grades?.[subject.key])
+        .filter(Boolean);
+      const failed = grades.filter((grade) => grade.failed).length;
+      aoa.push([subject.label, grades.length, grades.length - failed, failed]);
+    });
+  }
+
+  return aoa;
+}
+
+function baseFileName(meta) {
+  const stem = String(meta.sourceName || 'results').replace(/\.[^.]+$/, '');
+  return meta.term ? `${stem}-${meta.term}` : stem;
+}
+
+// rows: the filtered/sorted view; classRows: every ranked row in the term.
+export async function exportTable(options, format = 'xlsx') {
+  const XLSX = await import('xlsx');
+  const tableSheet = XLSX.utils.json_to_sheet(buildTableRows(options));
+  const fileName = `${baseFileName(options.meta)}-export.${format}`;
+
+  if (format === 'csv') {
+    // The BOM makes Excel open the file as UTF-8.
+    const csv = `\ufeff${XLSX.utils.sheet_to_csv(tableSheet)}`;
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), fileName);
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, tableSheet, 'Results');
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(buildSummarySheet(options)),
+    'Summary',
+  );
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadBlob(
+    new Blob([data], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    }),
+    fileName,
+  );
+}
@@ -0,0 +1,119 @@
+// Colour themes. The page palette lives in index.css (`data-theme` on <html>
+// remaps the Tailwind colours the components use); charts take colours as
+// props, so their palettes are defined here.
+
+const STORAGE_KEY = 'result-portal:theme';
+
+export const THEMES = [
+  { value: 'system', label: 'Auto' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'light', label: 'Light' },
+  { value: 'contrast', label: 'High contrast' },
+];
+
+// Browser chrome (address bar, installed app title bar) per theme.
+const THEME_COLORS = {
+  dark: '#020617',
+  light: '#f8fafc',
+  contrast: '#000000',
+};
+
+export const CHART_PALETTES = {
+  dark: {
+    grid: '#1f2937',
+    axis: '#9ca3af',
+    axisLine: '#374151',
+    muted: '#6b7280',
+    tooltip: { background: '#020617', border: 'rgba(30,64,175,0.75)', label: '#e5e7eb' },
+    cursor: 'rgba(37,99,235,0.08)',
+    primary: '#22c55e',
+    secondary: '#0ea5e9',
+    series: ['#22c55e', '#0ea5e9', '#a855f7', '#f59e0b', '#ef4444'],
+    // Top-to-bottom stops for the student and class bar gradients.
+    studentGradient: ['#38bdf8', '#22c55e', '#a855f7'],
+    classGradient: ['#22c55e', '#0ea5e9', '#1d4ed8'],
+  },
+  light: {
+    grid: '#e2e8f0',
+    axis: '#475569',
+    axisLine: '#cbd5e1',
+    muted: '#64748b',
+    tooltip: { background: '#ffffff', border: 'rgba(37,99,235,0.35)', label: '#0f172a' },
+    cursor: 'rgba(37,99,235,0.08)',
+    primary: '#16a34a',
+    secondary: '#0284c7',
+    series: ['#16a34a', '#0284c7', '#9333ea', '#d97706', '#dc2626'],
+    studentGradient: ['#0284c7', '#16a34a', '#9333ea'],
+    classGradient: ['#16a34a', '#0284c7', '#1e40af'],
+  },
+  contrast: {
+    grid: '#475569',
+    axis: '#ffffff',
+    axisLine: '#e2e8f0',
+    muted: '#e2e8f0',
+    tooltip: { background: '#000000', border: '#ffffff', label: '#ffffff' },
+    cursor: 'rgba(255,255,255,0.15)',
+    primary: '#4ade80',
+    secondary: '#38bdf8',
+    series: ['#4ade80', '#38bdf8', '#e879f9', '#facc15', '#f87171'],
+    studentGradient: ['#38bdf8', '#4ade80', '#e879f9'],
+    classGradient: ['#4ade80', '#38bdf8', '#93c5fd'],
+  },
+};
+
+export function chartTooltipProps(palette) {
+  return {
+    contentStyle: {
+      backgroundColor: palette.tooltip.background,
+      borderRadius: 12,
+      border: `1px solid ${palette.tooltip.border}`,
+      fontSize: 11,
+    },
+    labelStyle: { color: palette.tooltip.label, marginBottom: 4 },
+    cursor: { fill: palette.cursor },
+  };
+}
+
+export function chartAxisProps(palette) {
+  return {
+    stroke: palette.axis,
+    tick: { fontSize: 10 },
+    tickLine: false,
+    axisLine: { stroke: palette.axisLine },
+  };
+}
+
+export function loadTheme() {
+  try {
+    const value = window.localStorage.getItem(STORAGE_KEY);
+    return THEMES.some((theme) => theme.value === value) ? value : 'system';
+  } catch (e) {
+    console.warn('Could not read saved theme.', e);
+    return 'system';
+  }
+}
+
+export function saveTheme(value) {
+  try {
+    if (value === 'system') window.localStorage.removeItem(STORAGE_KEY);
+    else window.localStorage.setItem(STORAGE_KEY, value);
+  } catch (e) {
+    console.warn('Could not save theme.', e);
+  }
+}
+
+function prefers(query) {
+  return typeof window !== 'undefined' && Boolean(window.matchMedia?.(query).matches);
+}
+
+// 'system' follows prefers-contrast first, then prefers-color-scheme.
+export function resolveTheme(preference) {
+  if (preference && preference !== 'system') return preference;
+  if (prefers('(prefers-contrast: more)')) return 'contrast';
+  return prefers('(prefers-color-scheme: light)') ? 'light' : 'dark';
+}
+
+export function applyTheme(theme) {
+  document.documentElement.dataset.theme = theme;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[theme]);
+}
@@ -0,0 +1,54 @@
+// Mirrors the dashboard view (selected student, search, metrics, sort, term)
+// in the query string so a link reopens the same view, e.g.
+// ?reg=2024331012&metric=CGPA&sort=id
+
+const PARAMS = {
+  reg: 'reg',
+  search: 'q',
+  metric: 'metric',
+  onlyWithMetric: 'only',
+  sort: 'sort',
+  term: 'term',
+};
+
+const SORT_MODES = new Set(['rank', 'id']);
+
+export function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const sort = params.get(PARAMS.sort);
+  return {
+    reg: params.get(PARAMS.reg) || null,
+    search: params.get(PARAMS.search) || '',
+    metrics: params.getAll(PARAMS.metric).filter(Boolean),
+    onlyWithMetric: params.get(PARAMS.onlyWithMetric) === '1',
+    sort: SORT_MODES.has(sort) ? sort : 'rank',
+    term: params.get(PARAMS.term) || null,
+  };
+}
+
+export function buildUrlSearch(state) {
+  const params = new URLSearchParams();
+  if (state.reg) params.set(PARAMS.reg, state.reg);
+  if (state.search) params.set(PARAMS.search, state.search);
+  (state.metrics || []).forEach((metric) => params.append(PARAMS.metric, metric));
+  if (state.onlyWithMetric) params.set(PARAMS.onlyWithMetric, '1');
+  if (state.sort && state.sort !== 'rank') params.set(PARAMS.sort, state.sort);
+  if (state.term) params.set(PARAMS.term, state.term);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Selecting a different student pushes a history entry so back/forward step
+// through selections; every other change replaces the current entry.
+export function writeUrlState(state) {
+  const nextSearch = buildUrlSearch(state);
+  if (nextSearch === window.location.search) return;
+
+  const currentReg = new URLSearchParams(window.location.search).get(PARAMS.reg);
+  const url = `${window.location.pathname}${nextSearch}${window.location.hash}`;
+  if (currentReg && state.reg && currentReg !== state.reg) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+}
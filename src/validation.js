@@ -0,0 +1,150 @@
+// Row/column-level checks for malformed or suspicious workbook data. Each issue
+// points at a sheet row (1-based, header is row 1) and column so the source
+// sheet can be fixed.
+
+import { matchStatusCode } from './statusCodes.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+function isBlank(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(raw) {
+  if (isBlank(raw)) return null;
+  const num = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(num) ? num : null;
+}
+
+function sheetRow(index) {
+  return index + 2;
+}
+
+function checkIds(rows, idField, issues) {
+  if (!idField) {
+    issues.push({
+      severity: 'warning',
+      code: 'no-id-column',
+      row: null,
+      column: null,
+      value: '',
+      message: 'No registration/ID column detected; students cannot be joined across terms.',
+    });
+    return;
+  }
+
+  const firstSeen = new Map();
+  rows.forEach((row, index) => {
+    const raw = row[idField];
+    if (isBlank(raw)) {
+      issues.push({
+        severity: 'warning',
+        code: 'missing-id',
+        row: sheetRow(index),
+        column: idField,
+        value: '',
+        message: 'Missing registration number.',
+      });
+      return;
+    }
+    const key = String(raw).trim().toLowerCase();
+    if (firstSeen.has(key)) {
+      issues.push({
+        severity: 'error',
+        code: 'duplicate-id',
+        row: sheetRow(index),
+        column: idField,
+        value: raw,
+        message: `Duplicate registration number (first seen on row ${firstSeen.get(key)}).`,
+      });
+    } else {
+      firstSeen.set(key, sheetRow(index));
+    }
+  });
+}
+
+function checkNames(rows, nameField, issues) {
+  if (!nameField) return;
+  rows.forEach((row, index) => {
+    if (isBlank(row[nameField])) {
+      issues.push({
+        severity: 'warning',
+        code: 'empty-name',
+        row: sheetRow(index),
+        column: nameField,
+        value: '',
+        message: 'Empty student name.',
+      });
+    }
+  });
+}
+
+// numericColumns: [{ key, max, droppedSubject }]. Recognised status codes
+// ("Abs", "W", ...) are valid cell values, not errors.
+function checkNumericColumns(rows, numericColumns, statusCodes, issues) {
+  numericColumns.forEach((column) => {
+    rows.forEach((row, index) => {
+      const raw = row[column.key];
+      if (isBlank(raw) || matchStatusCode(statusCodes, raw)) return;
+      const num = toNumber(raw);
+
+      if (num == null) {
+        issues.push({
+          severity: column.droppedSubject ? 'error' : 'warning',
+          code: 'non-numeric',
+          row: sheetRow(index),
+          column: column.key,
+          value: raw,
+          message: column.droppedSubject
+            ? `Text "${raw}" in a numeric column; the whole column is dropped from subjects. Fix the cell or add it as a status code.`
+            : `Text "${raw}" in a numeric column is ignored in calculations.`,
+        });
+        return;
+      }
+
+      if (num < 0) {
+        issues.push({
+          severity: 'error',
+          code: 'negative',
+          row: sheetRow(index),
+          column: column.key,
+          value: raw,
+          message: 'Negative value.',
+        });
+      } else if (column.max != null && num > column.max) {
+        issues.push({
+          severity: 'error',
+          code: 'above-max',
+          row: sheetRow(index),
+          column: column.key,
+          value: raw,
+          message: `Value exceeds the subject maximum of ${column.max}.`,
+        });
+      }
+    });
+  });
+}
+
+export function validateRows({ rows, idField, nameField, numericColumns, statusCodes = [] }) {
+  const issues = [];
+  if (!rows.length) return issues;
+
+  checkIds(rows, idField, issues);
+  checkNames(rows, nameField, issues);
+  checkNumericColumns(rows, numericColumns, statusCodes, issues);
+
+  const order = Object.fromEntries(SEVERITIES.map((s, i) => [s, i]));
+  return issues.sort(
+    (a, b) =>
+      order[a.severity] - order[b.severity] ||
+      (a.row ?? 0) - (b.row ?? 0),
+  );
+}
+
+export function countBySeverity(issues) {
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  issues.forEach((issue) => {
+    counts[issue.severity] += 1;
+  });
+  return counts;
+}
@@ -0,0 +1,15 @@
+// SheetJS wrapper: every non-empty sheet becomes a term, named after its
+// sheet (e.g. "1-1"). Kept apart so the parser can be loaded on demand.
+
+import * as XLSX from 'xlsx';
+
+// `type` is 'array' for ArrayBuffers in the browser, 'buffer' in Node.
+export function parseWorkbook(data, type = 'array') {
+  const workbook = XLSX.read(data, { type });
+  return workbook.SheetNames
+    .map((sheetName) => ({
+      name: sheetName,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' }),
+    }))
+    .filter((term) => term.rows.length > 0);
+}